@@ -0,0 +1,92 @@
+// ANN（IVF）インデックス構築用 Worker
+// 入力: 行ごとに正規化済みのベクトル（n×d）。int8 の場合は量子化値と行ごとの尺度 scale（1/‖q‖）
+// 出力: セントロイド（nlist×d）と、リストごとの語インデックス（CSR形式）
+
+// 乱数は再現性のため固定シード（mulberry32）
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 行の尺度は正なので、最近傍セントロイドの判定には掛けなくてよい
+function nearestCentroid(data, off, centroids, nlist, d) {
+  let best = 0, bestS = -Infinity;
+  for (let c = 0; c < nlist; c++) {
+    const cOff = c * d;
+    let s = 0;
+    for (let k = 0; k < d; k++) s += data[off + k] * centroids[cOff + k];
+    if (s > bestS) { bestS = s; best = c; }
+  }
+  return best;
+}
+
+// 球面k-means（内積最大のセントロイドに割り当て、平均を正規化）
+function trainCentroids(data, scale, n, d, nlist, iters, sampleSize, seed) {
+  const rand = rng(seed);
+  const sample = new Uint32Array(Math.min(n, sampleSize));
+  for (let i = 0; i < sample.length; i++) sample[i] = Math.floor(rand() * n);
+
+  const centroids = new Float32Array(nlist * d);
+  const rowScale = (i) => (scale ? scale[i] : 1);
+  const setRow = (c, i) => {
+    const s = rowScale(i);
+    for (let k = 0; k < d; k++) centroids[c * d + k] = data[i * d + k] * s;
+  };
+  for (let c = 0; c < nlist; c++) setRow(c, sample[c % sample.length]);
+
+  const sums = new Float64Array(nlist * d);
+  const counts = new Uint32Array(nlist);
+  for (let it = 0; it < iters; it++) {
+    sums.fill(0);
+    counts.fill(0);
+    for (let s = 0; s < sample.length; s++) {
+      const off = sample[s] * d;
+      const c = nearestCentroid(data, off, centroids, nlist, d);
+      const rs = rowScale(sample[s]);
+      counts[c]++;
+      for (let k = 0; k < d; k++) sums[c * d + k] += data[off + k] * rs;
+    }
+    for (let c = 0; c < nlist; c++) {
+      // 空クラスタはランダムな点で埋め直す
+      if (counts[c] === 0) {
+        setRow(c, Math.floor(rand() * n));
+        continue;
+      }
+      let norm = 0;
+      for (let k = 0; k < d; k++) norm += sums[c * d + k] * sums[c * d + k];
+      norm = Math.sqrt(norm) || 1;
+      for (let k = 0; k < d; k++) centroids[c * d + k] = sums[c * d + k] / norm;
+    }
+    self.postMessage({ type: "progress", done: it + 1, total: iters + 1 });
+  }
+  return centroids;
+}
+
+self.onmessage = (ev) => {
+  const { data, scale, n, d, nlist, iters, sampleSize, seed } = ev.data;
+  try {
+    const centroids = trainCentroids(data, scale, n, d, nlist, iters, sampleSize, seed);
+
+    const assign = new Uint32Array(n);
+    const offsets = new Uint32Array(nlist + 1);
+    for (let i = 0; i < n; i++) {
+      assign[i] = nearestCentroid(data, i * d, centroids, nlist, d);
+      offsets[assign[i] + 1]++;
+    }
+    for (let c = 0; c < nlist; c++) offsets[c + 1] += offsets[c];
+
+    const ids = new Uint32Array(n);
+    const fill = offsets.slice(0, nlist);
+    for (let i = 0; i < n; i++) ids[fill[assign[i]]++] = i;
+
+    self.postMessage({ type: "done", centroids, offsets, ids }, [centroids.buffer, offsets.buffer, ids.buffer]);
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message });
+  }
+};
@@ -1,227 +1,2593 @@
 // ---- paths (root公開) ----
-const COORDS_CSV = "./model/coords.csv";
-const VOCAB_JSON = "./model/vocab.json";
-const VEC_BIN    = "./model/vec50.bin";
-const SIM_D = 50;
+// モデル一覧。各パスは manifest.json からの相対パス
+const MODEL_MANIFEST = "./model/manifest.json";
+// manifest.json が読めないときの既定モデル
+const DEFAULT_MODEL = {
+  id: "default",
+  name: "既定モデル（50次元）",
+  language: "ja",
+  dim: 50,
+  dtype: "float32",
+  vocab: "vocab.json",
+  vectors: "vec50.bin",
+  coords: "coords.csv",
+  license: null,
+};
+
+// 近似最近傍（IVF）インデックス：語彙がこの数以上なら構築して使う
+const ANN_WORKER_URL = "./ann-worker.js";
+const ANN_MIN_VOCAB = 50000;
+const ANN_NPROBE = 12;     // 探索するクラスタ数
+const ANN_ITERS = 10;      // k-means 反復回数
 
-// 同梱した kuromoji
+// 入力語だけで座標を計算し直す（PCA / t-SNE / UMAP）
+const PROJECTION_WORKER_URL = "./projection-worker.js";
+
+// 同梱した kuromoji（Worker 内で読み込む）
+const TOKENIZER_WORKER_URL = "./tokenizer-worker.js";
 const KUROMOJI_URL = "./kuromoji/kuromoji.js";
 const DIC_PATH     = "./kuromoji/dict/"; // ★末尾/必須
 
-// Plotly（重いので遅延ロード）
-const PLOTLY_URL = "https://cdn.plot.ly/plotly-2.32.0.min.js";
+const URL_PARAMS = new URLSearchParams(location.search);
+
+// Plotly（重いので遅延ロード）。?plotly=<URL>（複数可）で指定したコピーを CDN より先に試す
+// 1巡して読めなければ再試行せず Canvas 描画にする（オフラインで起動を待たせない）
+const PLOTLY_URLS = [
+  ...URL_PARAMS.getAll("plotly"),
+  "https://cdn.plot.ly/plotly-2.32.0.min.js",
+];
+
+// 読込の再試行（通信エラー・5xx・タイムアウト）。待ち時間は RETRY_BASE_MS × 2^回数
+// 回数は ?retries=N で変えられる（0 で再試行しない）
+const RETRY_COUNT = /^\d+$/.test(URL_PARAMS.get("retries") ?? "") ? Number(URL_PARAMS.get("retries")) : 3;
+const RETRY_BASE_MS = 500;
+const TOKENIZER_TIMEOUT_MS = 20000;
+// 長文は文の区切りでこの文字数程度の塊にまとめて順に解析し、途中経過も描く
+const TOKENIZE_CHUNK_CHARS = 2000;
+const PROGRESSIVE_RENDER_MS = 800;
+// 解析する文字数の上限。?maxChars=N で変えられる。入力欄の maxlength と説明もこの値から設定し、
+// ファイルから読んだ文はこれを超えたら先頭だけ使う
+const TEXT_MAX_CHARS = /^[1-9]\d*$/.test(URL_PARAMS.get("maxChars") ?? "") ? Number(URL_PARAMS.get("maxChars")) : 200000;
+// プロットする点の上限（画面で変更可。超えたら出現回数の多い語から残す）と、Plotly が重くなる目安の点数
+const PLOT_MAX_POINTS = 2000;
+const PLOT_WARN_POINTS = 3000;
+// t-SNE / UMAP は厳密計算（語数の2乗）なので、これを超えたら PCA にする
+const PROJECTION_MAX_WORDS = 1500;
+
+// Worker から受け取るトークンの項目（使うものだけにして受け渡しを軽くする）
+const TOKEN_FIELDS = ["surface_form", "basic_form", "pos", "pos_detail_1", "reading"];
+
+// 描画方式（?renderer=plotly|canvas|auto）。auto は Plotly が読めなければ同梱の Canvas 描画
+const PLOT_RENDERER = URL_PARAMS.get("renderer") || "auto";
+const CANVAS_PLOT_URL = "./canvas-plot.js";
+
+// 座標ファイルの解析（ストリーム・RFC 4180）
+const COORDS_WORKER_URL = "./coords-worker.js";
+
+// 手元のモデルファイル（word2vec / fastText / GloVe）の読込
+const IMPORT_WORKER_URL = "./model-import-worker.js";
+const IMPORT_MAX_WORDS = 200000;   // ブラウザのメモリに収まる範囲で打ち切る
+const IMPORT_PCA_SAMPLE = 20000;   // 自動配置（PCA）の共分散計算に使う語数
+
+// オフライン用 Service Worker
+const SW_URL = "./sw.js";
 
 // ---- DOM ----
 const els = {
+  modelSelect: document.getElementById("modelSelect"),
+  modelInfo: document.getElementById("modelInfo"),
+  modelDrop: document.getElementById("modelDrop"),
+  modelFile: document.getElementById("modelFile"),
   text: document.getElementById("textInput"),
+  textMaxChars: document.getElementById("textMaxChars"),
+  textDrop: document.getElementById("textDrop"),
+  textFile: document.getElementById("textFile"),
+  csvColumnRow: document.getElementById("csvColumnRow"),
+  csvColumn: document.getElementById("csvColumn"),
   run: document.getElementById("runBtn"),
   status: document.getElementById("status"),
   plot: document.getElementById("plot"),
-  posFilter: document.getElementById("posFilter"),
+  posPreset: document.getElementById("posPreset"),
+  posSummary: document.getElementById("posSummary"),
+  posTags: document.getElementById("posTags"),
+  stopSummary: document.getElementById("stopSummary"),
+  stopLists: document.getElementById("stopLists"),
+  stopUser: document.getElementById("stopUser"),
+  stopAllow: document.getElementById("stopAllow"),
+  userDictSummary: document.getElementById("userDictSummary"),
+  userDictText: document.getElementById("userDictText"),
+  userDictFile: document.getElementById("userDictFile"),
+  normSummary: document.getElementById("normSummary"),
+  normSteps: document.getElementById("normSteps"),
   uniqueOnly: document.getElementById("uniqueOnly"),
+  approxOov: document.getElementById("approxOov"),
+  oovBox: document.getElementById("oovBox"),
+  oovSummary: document.getElementById("oovSummary"),
+  oovList: document.getElementById("oovList"),
+  mergeCompounds: document.getElementById("mergeCompounds"),
+  mergePhrases: document.getElementById("mergePhrases"),
+  maxPoints: document.getElementById("maxPoints"),
+  projection: document.getElementById("projection"),
+  viewMode: document.getElementById("viewMode"),
   selectedWord: document.getElementById("selectedWord"),
+  simScope: document.getElementById("simScope"),
+  simTitle: document.getElementById("simTitle"),
   simList: document.getElementById("simList"),
+  annCheck: document.getElementById("annCheck"),
+  anaA: document.getElementById("anaA"),
+  anaB: document.getElementById("anaB"),
+  anaC: document.getElementById("anaC"),
+  anaRun: document.getElementById("anaRun"),
+  anaList: document.getElementById("anaList"),
+  clearCache: document.getElementById("clearCache"),
+  updateBanner: document.getElementById("updateBanner"),
+  updateMsg: document.getElementById("updateMsg"),
+  updateReload: document.getElementById("updateReload"),
+  errorPanel: document.getElementById("errorPanel"),
+  errorMsg: document.getElementById("errorMsg"),
+  errorRetry: document.getElementById("errorRetry"),
+  errorClose: document.getElementById("errorClose"),
+  loadProgress: document.getElementById("loadProgress"),
+  loadTotal: document.getElementById("loadTotal"),
+  loadPct: document.getElementById("loadPct"),
+  loadCancel: document.getElementById("loadCancel"),
+  loadItems: document.getElementById("loadItems"),
 };
 
 function setStatus(msg) { els.status.textContent = msg; }
 
 // ---- states ----
-let tokenizer = null;
+let models = [];
+let currentModel = null;   // { id, name, dim, ..., vocabUrl, vectorsUrl, coordsUrl }
+let simD = DEFAULT_MODEL.dim;
+
+let tokenizer = null;            // createTokenizer() の戻り値
+let tokenizerBuilding = null;
 let coordsLoaded = false;
-let coordMap = new Map();
+let coordMap = new Map();  // 語 → 座標配列の行番号（語彙順の座標なら wordToIndex と同じ Map を共有）
+let coordWords = [];
+let coordXs = null, coordYs = null, coordZs = null;   // 座標の無い行は NaN
+let coordsHaveZ = false;   // 座標ファイルが word,x,y,z の3列座標か
+let coordsAligned = false; // 行の並びが vocab.json と同じか（バイナリ座標・自動配置）
 
 let simLoaded = false;
 let wordToIndex = new Map();
-let vecData = null;
+let indexToWord = [];
+let vecData = null;   // float32: 行ごとに正規化済み（内積 = コサイン類似度）／int8: 量子化値そのまま
+let vecInvNorm = null; // int8 のときだけ：各行の 1/‖q‖（内積に掛けるとコサイン類似度）
+let annIndex = null;
+let annBuilding = null;
+let simVersion = null;   // IndexedDB キャッシュのキー（vocab/vec のバージョン）
+let simError = null;     // ベクトルが使えない理由（null なら利用可 or 未確認）
 
 let currentWords = [];
+let projWorker = null;
+let projReject = null;     // 実行中の射影の Promise を打ち切るための reject
+let sceneCamera = null;    // 3D 表示のカメラ（再描画しても維持する）
+let plotRenderer = null;   // "plotly" | "canvas"
+let canvasPlot = null;
+let canvasTraceWords = []; // Canvas 描画中のトレースごとの単語（クリック用）
+let selectedWord = null;
 
 // ---- helpers ----
+const scriptLoads = new Map();   // 絶対 URL → 読込中／読込済みの Promise
+
+// 同じ URL の読込中に呼ばれても同じ Promise を返す（タグの有無では読込完了を判断できない）
 function loadScriptOnce(src) {
-  return new Promise((resolve, reject) => {
-    if ([...document.scripts].some(s => s.src === new URL(src, location.href).href)) return resolve();
-    const s = document.createElement("script");
-    s.src = src;
-    s.async = true;
-    s.onload = () => resolve();
-    s.onerror = () => reject(new Error(`Failed to load: ${src}`));
-    document.head.appendChild(s);
-  });
+  const url = new URL(src, location.href).href;
+  if (!scriptLoads.has(url)) {
+    scriptLoads.set(url, new Promise((resolve, reject) => {
+      const s = document.createElement("script");
+      s.src = url;
+      s.async = true;
+      s.onload = () => resolve();
+      s.onerror = () => {
+        // 失敗は覚えずタグも外し、次の呼び出しで読み直せるようにする
+        s.remove();
+        scriptLoads.delete(url);
+        reject(new Error(`Failed to load: ${src}`));
+      };
+      document.head.appendChild(s);
+    }));
+  }
+  return scriptLoads.get(url);
+}
+
+// 候補 URL を順に試し、読めた URL を返す
+async function loadScriptFromMirrors(urls) {
+  let lastError = null;
+  for (const url of urls) {
+    try {
+      await loadScriptOnce(url);
+      return url;
+    } catch (e) {
+      console.warn(e);
+      lastError = e;
+    }
+  }
+  throw lastError;
 }
 
-function parseCSVLine(line) { return line.split(","); }
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-function isTargetPOS(t) {
-  return t.pos === "名詞" || t.pos === "動詞" || t.pos === "形容詞";
+// 4xx（ファイルが無い等）とキャンセルは何度やっても同じなので再試行しない
+function isRetriable(e) {
+  return !isAbort(e) && !(e.status >= 400 && e.status < 500);
+}
+
+async function withRetry(label, fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= RETRY_COUNT || !isRetriable(e)) throw e;
+      const ms = RETRY_BASE_MS * 2 ** attempt;
+      console.warn(e);
+      setStatus(`${label}の読込に失敗。${(ms / 1000).toFixed(1)}秒後に再試行（${attempt + 1}/${RETRY_COUNT}）`);
+      await abortable(sleep(ms));
+    }
+  }
 }
 
-function tokenizeText(text) {
-  const tokens = tokenizer.tokenize(text);
+function baseForm(t) {
+  return (t.basic_form && t.basic_form !== "*") ? t.basic_form : t.surface_form;
+}
+
+async function tokenizeText(text) {
+  await tokenizer.setUserDict(userDictEntries);
+  let tokens = await tokenizer.tokenize(text, { fields: TOKEN_FIELDS });
+  if (els.mergePhrases.checked) tokens = mergePhrases(tokens);
+  if (els.mergeCompounds.checked) tokens = mergeCompounds(tokens);
   const out = [];
   for (const t of tokens) {
-    if (els.posFilter.checked && !isTargetPOS(t)) continue;
-    const w = (t.basic_form && t.basic_form !== "*") ? t.basic_form : t.surface_form;
-    if (!w || !w.trim()) continue;
-    out.push(w);
+    if (!(t.phraseParts ? t.phraseParts.some(isTargetPOS) : isTargetPOS(t))) continue;
+    for (const raw of t.parts ? resolveCompound(t) : [baseForm(t)]) {
+      if (!raw || !raw.trim()) continue;
+      const w = normalizeWord(raw);
+      if (stopwords.has(raw) || stopwords.has(w)) continue;
+      // kuromoji の読みは表層形の読みなので、活用していない語（表層形 = 原形）のときだけ使う（食べ → タベ）
+      if (raw === t.surface_form && raw === baseForm(t) && t.reading && t.reading !== "*" && !wordReadings.has(w)) {
+        wordReadings.set(w, t.reading);
+      }
+      if (w !== raw && derivedParts.has(raw) && !derivedParts.has(w) && !inCoordVocab(w)) derivedParts.set(w, derivedParts.get(raw));
+      out.push(w);
+    }
+  }
+  return out;
+}
+
+function normalizeRows(data, d) {
+  for (let off = 0; off < data.length; off += d) {
+    let n = 0;
+    for (let k = 0; k < d; k++) n += data[off + k] * data[off + k];
+    if (n === 0) continue;
+    n = 1 / Math.sqrt(n);
+    for (let k = 0; k < d; k++) data[off + k] *= n;
   }
+}
+
+function dotWithRow(q, j) {
+  const off = j * simD;
+  let dot = 0;
+  for (let k = 0; k < simD; k++) dot += q[k] * vecData[off + k];
+  return vecInvNorm ? dot * vecInvNorm[j] : dot;
+}
+
+// 正規化済みの float ベクトル（int8 のときは復号したコピー）
+function vectorOf(i) {
+  const row = vecData.subarray(i * simD, (i + 1) * simD);
+  if (!vecInvNorm) return row;
+  const out = new Float32Array(simD);
+  const s = vecInvNorm[i];
+  for (let k = 0; k < simD; k++) out[k] = row[k] * s;
   return out;
 }
 
+// vecData は読込時に正規化済みなので内積だけでよい。int8 同士は整数のまま内積を取る
 function cosineSimByIndex(i, j) {
-  const offI = i * SIM_D;
-  const offJ = j * SIM_D;
-  let dot = 0, ni = 0, nj = 0;
-  for (let k = 0; k < SIM_D; k++) {
-    const a = vecData[offI + k];
-    const b = vecData[offJ + k];
-    dot += a * b;
-    ni += a * a;
-    nj += b * b;
+  if (!vecInvNorm) return dotWithRow(vectorOf(i), j);
+  const offI = i * simD, offJ = j * simD;
+  let dot = 0;
+  for (let k = 0; k < simD; k++) dot += vecData[offI + k] * vecData[offJ + k];
+  return dot * vecInvNorm[i] * vecInvNorm[j];
+}
+
+// 降順の top 配列に {j, s} を挿入（k件を超えたら末尾を捨てる）
+function pushTopK(top, k, j, s) {
+  if (top.length === k && s <= top[k - 1].s) return;
+  let p = top.length < k ? top.length : k - 1;
+  while (p > 0 && top[p - 1].s < s) { top[p] = top[p - 1]; p--; }
+  top[p] = { j, s };
+}
+
+// ---- part-of-speech filter ----
+// kuromoji（IPADIC）の品詞と品詞細分類1。品詞を選び、細分類のチェックを外すとその細分類だけ除く
+const POS_TAGS = {
+  名詞: ["一般", "固有名詞", "代名詞", "数", "非自立", "サ変接続", "形容動詞語幹", "副詞可能", "接尾",
+    "ナイ形容詞語幹", "動詞非自立的", "特殊", "引用文字列", "接続詞的"],
+  動詞: ["自立", "非自立", "接尾"],
+  形容詞: ["自立", "非自立", "接尾"],
+  副詞: ["一般", "助詞類接続"],
+  連体詞: [],
+  接続詞: [],
+  接頭詞: ["名詞接続", "動詞接続", "形容詞接続", "数接続"],
+  助詞: ["格助詞", "係助詞", "副助詞", "接続助詞", "終助詞", "並立助詞", "連体化", "副詞化", "副助詞／並立助詞／終助詞", "特殊"],
+  助動詞: [],
+  感動詞: [],
+  記号: ["一般", "句点", "読点", "空白", "括弧開", "括弧閉", "アルファベット"],
+  フィラー: [],
+  その他: ["間投"],
+};
+
+// include: 品詞 → null（細分類すべて）または対象にする細分類の配列
+const POS_PRESETS = [
+  { id: "basic", label: "名詞・動詞・形容詞", include: { 名詞: null, 動詞: null, 形容詞: null } },
+  {
+    id: "content", label: "内容語",
+    include: {
+      名詞: ["一般", "固有名詞", "サ変接続", "形容動詞語幹", "副詞可能", "ナイ形容詞語幹"],
+      動詞: ["自立"], 形容詞: ["自立"], 副詞: null,
+    },
+  },
+  { id: "nouns", label: "名詞のみ", include: { 名詞: null } },
+  { id: "proper", label: "固有名詞のみ", include: { 名詞: ["固有名詞"] } },
+  { id: "all", label: "すべて", include: Object.fromEntries(Object.keys(POS_TAGS).map(p => [p, null])) },
+];
+const POS_STORAGE_KEY = "wordEmbeddingForWeb.pos";
+
+let posTops = new Set();       // 対象にする品詞
+let posExcluded = new Set();   // 除く "品詞,細分類1"
+
+function isTargetPOS(t) {
+  return posTops.has(t.pos) && !posExcluded.has(`${t.pos},${t.pos_detail_1}`);
+}
+
+function presetSelection(preset) {
+  const tops = new Set(Object.keys(preset.include));
+  const excluded = new Set();
+  for (const [pos, only] of Object.entries(preset.include)) {
+    if (!only) continue;
+    for (const d of POS_TAGS[pos]) if (!only.includes(d)) excluded.add(`${pos},${d}`);
   }
-  if (ni === 0 || nj === 0) return 0;
-  return dot / (Math.sqrt(ni) * Math.sqrt(nj));
+  return { tops, excluded };
 }
 
-// ---- lazy loaders ----
-async function ensurePlotly() {
-  if (window.Plotly) return;
-  setStatus("描画ライブラリ読込中…（初回のみ）");
-  await loadScriptOnce(PLOTLY_URL);
+function applyPosPreset(preset) {
+  ({ tops: posTops, excluded: posExcluded } = presetSelection(preset));
 }
 
-async function buildTokenizerWithTimeout(ms = 20000) {
-  await loadScriptOnce(KUROMOJI_URL);
-  return await Promise.race([
-    new Promise((resolve, reject) => {
-      window.kuromoji.builder({ dicPath: DIC_PATH }).build((err, tk) => {
-        if (err) reject(err);
-        else resolve(tk);
-      });
-    }),
-    new Promise((_, reject) => setTimeout(() => reject(new Error("kuromoji build timeout")), ms))
-  ]);
+function matchingPosPreset() {
+  const key = (tops, excluded) => `${[...tops].sort().join("|")}/${[...excluded].sort().join("|")}`;
+  const current = key(posTops, posExcluded);
+  return POS_PRESETS.find(p => {
+    const s = presetSelection(p);
+    return key(s.tops, s.excluded) === current;
+  }) || null;
 }
 
-async function ensureTokenizer() {
-  if (tokenizer) return;
-  setStatus("形態素解析準備中…（初回のみ）");
-  tokenizer = await buildTokenizerWithTimeout(20000);
+function posCheckbox(pos, detail, text) {
+  const label = document.createElement("label");
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.dataset.pos = pos;
+  if (detail) input.dataset.detail = detail;
+  label.append(input, ` ${text}`);
+  return label;
 }
 
-async function ensureCoords() {
-  if (coordsLoaded) return;
-  setStatus("座標(coords.csv)読込中…（初回のみ）");
-  const txt = await (await fetch(COORDS_CSV, { cache: "force-cache" })).text();
-  const lines = txt.split(/\r?\n/).filter(l => l.trim().length > 0);
-  for (let i = 1; i < lines.length; i++) {
-    const [word, x, y] = parseCSVLine(lines[i]);
-    const xx = Number(x), yy = Number(y);
-    if (word && Number.isFinite(xx) && Number.isFinite(yy)) coordMap.set(word, { x: xx, y: yy });
+function buildPosTags() {
+  for (const p of POS_PRESETS) els.posPreset.add(new Option(p.label, p.id));
+  els.posPreset.add(new Option("カスタム", "custom"));
+  for (const [pos, details] of Object.entries(POS_TAGS)) {
+    const group = document.createElement("div");
+    group.className = "postag";
+    group.appendChild(posCheckbox(pos, null, pos));
+    if (details.length) {
+      const sub = document.createElement("div");
+      sub.className = "posdetail";
+      for (const d of details) sub.appendChild(posCheckbox(pos, d, d));
+      group.appendChild(sub);
+    }
+    els.posTags.appendChild(group);
   }
-  coordsLoaded = true;
 }
 
-async function ensureSimModel() {
-  if (simLoaded) return;
-  setStatus("類似語モデル読込中…（初回のみ）");
-  const vocab = await (await fetch(VOCAB_JSON, { cache: "force-cache" })).json();
-  wordToIndex = new Map(vocab.map((w, i) => [w, i]));
-  const buf = await (await fetch(VEC_BIN, { cache: "force-cache" })).arrayBuffer();
-  vecData = new Float32Array(buf);
-  if (vecData.length !== vocab.length * SIM_D) throw new Error("vec50.bin サイズ不一致");
-  simLoaded = true;
-  setStatus("準備完了");
+// 状態 → 画面（細分類は品詞を選んでいるときだけ操作できる）
+function showPosSelection() {
+  for (const input of els.posTags.querySelectorAll("input")) {
+    const { pos, detail } = input.dataset;
+    if (detail) {
+      input.checked = !posExcluded.has(`${pos},${detail}`);
+      input.disabled = !posTops.has(pos);
+    } else {
+      input.checked = posTops.has(pos);
+    }
+  }
+  const preset = matchingPosPreset();
+  els.posPreset.value = preset ? preset.id : "custom";
+  els.posSummary.textContent = preset ? preset.label : `カスタム（${[...posTops].join("・") || "なし"}）`;
 }
 
-// ---- render ----
-function renderPlot(words, xy) {
-  const xs = xy.map(p => p[0]);
-  const ys = xy.map(p => p[1]);
+function readPosSelection() {
+  posTops = new Set();
+  posExcluded = new Set();
+  for (const input of els.posTags.querySelectorAll("input")) {
+    const { pos, detail } = input.dataset;
+    if (!detail && input.checked) posTops.add(pos);
+    if (detail && !input.checked) posExcluded.add(`${pos},${detail}`);
+  }
+}
 
-  window.Plotly.newPlot(els.plot, [{
-    x: xs, y: ys,
-    mode: "markers+text",
-    type: "scatter",
-    text: words,
-    textposition: "top center",
-    hoverinfo: "text",
-    marker: { size: 10, opacity: 0.85 }
-  }], {
-    margin: { l: 30, r: 10, t: 10, b: 30 },
-    showlegend: false
-  }, { responsive: true });
+function savePosSelection() {
+  const value = JSON.stringify({ tops: [...posTops], excluded: [...posExcluded] });
+  try { localStorage.setItem(POS_STORAGE_KEY, value); } catch { /* 保存できなくても動作には影響しない */ }
+}
 
-  els.plot.on("plotly_click", async (data) => {
-    const idx = data.points?.[0]?.pointIndex;
-    if (idx == null) return;
-    await showSimilar(words[idx]);
-  });
+function initPosFilter() {
+  buildPosTags();
+  applyPosPreset(POS_PRESETS[0]);
+  try {
+    const saved = JSON.parse(localStorage.getItem(POS_STORAGE_KEY));
+    if (saved) {
+      posTops = new Set(saved.tops);
+      posExcluded = new Set(saved.excluded);
+    }
+  } catch { /* noop */ }
+  showPosSelection();
 }
 
-async function showSimilar(word) {
-  els.selectedWord.textContent = word;
-  els.simList.innerHTML = "";
+// ---- stopwords ----
+// 原形で比較する。品詞の絞り込みを通ったあとに除き、座標の検索より前に落とす
+// 組み込みの一覧＋追加の語から、除外しない語（「思う」だけ残したい等）を引いたものを使う
+const STOPWORD_LISTS = {
+  basic: {
+    label: "基本（助詞・助動詞・する/ある・こと等）",
+    words: [
+      "の", "に", "は", "を", "が", "で", "て", "と", "も", "へ", "や", "か", "な", "ね", "よ", "ば", "から", "まで", "より",
+      "だ", "た", "です", "ます", "ない", "ぬ", "う", "れる", "られる", "せる", "させる", "たい", "らしい",
+      "する", "いる", "ある", "なる", "おる", "できる", "くる", "いく", "しまう", "くれる", "もらう", "やる", "いう", "思う", "言う",
+      "こと", "もの", "よう", "ため", "ところ", "とき", "ほう", "さん", "など", "ら", "たち", "事", "物", "方", "的",
+    ],
+  },
+  extended: {
+    label: "拡張（指示語・代名詞・接続語・程度の副詞）",
+    words: [
+      "これ", "それ", "あれ", "どれ", "この", "その", "あの", "どの", "ここ", "そこ", "あそこ", "どこ", "こう", "そう", "ああ", "どう",
+      "私", "僕", "俺", "彼", "彼女", "我々", "自分", "何", "なに",
+      "また", "および", "ただし", "しかし", "そして", "さらに", "つまり", "なお", "では", "でも",
+      "まだ", "もう", "とても", "よく", "少し", "すこし", "かなり", "ちょっと", "すでに", "ほぼ",
+      "中", "上", "下", "前", "後", "今", "際", "等", "以上", "以下",
+    ],
+  },
+};
+const STOPWORD_DEFAULT_LISTS = ["basic"];
+const STOPWORD_STORAGE_KEY = "wordEmbeddingForWeb.stopwords";
 
-  await ensureSimModel();
+let stopwords = new Set();
 
-  const i = wordToIndex.get(word);
-  if (i == null) return;
+function parseStopwords(text) {
+  return text.split(/[\s,、，]+/).map(w => w.trim()).filter(Boolean);
+}
 
-  const sims = currentWords
-    .filter(w => w !== word && wordToIndex.has(w))
-    .map(w => ({ w, s: cosineSimByIndex(i, wordToIndex.get(w)) }))
-    .sort((a, b) => b.s - a.s)
-    .slice(0, 10);
+function readStopwords() {
+  const lists = [...els.stopLists.querySelectorAll("input:checked")].map(i => i.value);
+  const user = els.stopUser.value;
+  const allow = els.stopAllow.value;
+  const allowed = new Set(parseStopwords(allow));
+  stopwords = new Set([...lists.flatMap(id => STOPWORD_LISTS[id].words), ...parseStopwords(user)]
+    .filter(w => !allowed.has(w)));
+  els.stopSummary.textContent = `${stopwords.size}語`;
+  return { lists, user, allow };
+}
 
-  for (const { w, s } of sims) {
+function saveStopwords(state) {
+  try { localStorage.setItem(STOPWORD_STORAGE_KEY, JSON.stringify(state)); } catch { /* 保存できなくても動作には影響しない */ }
+}
+
+function initStopwords() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(STOPWORD_STORAGE_KEY)); } catch { /* noop */ }
+  const lists = saved?.lists ?? STOPWORD_DEFAULT_LISTS;
+  for (const [id, list] of Object.entries(STOPWORD_LISTS)) {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = id;
+    input.checked = lists.includes(id);
+    label.append(input, ` ${list.label}`);
+    els.stopLists.appendChild(label);
+  }
+  els.stopUser.value = saved?.user ?? "";
+  els.stopAllow.value = saved?.allow ?? "";
+  readStopwords();
+}
+
+// ---- user dictionary ----
+// 1行に「表層形,品詞,読み」。品詞は「名詞-固有名詞」のように細分類1も書ける（省略時は 名詞-一般）
+// 同梱の辞書の上に重ね、kuromoji の区切り（未知語の中は途中でもよい）と重なるユーザー辞書の語は1トークンにする（tokenizer-worker.js 参照）
+const USER_DICT_STORAGE_KEY = "wordEmbeddingForWeb.userdict";
+
+let userDictEntries = [];
+
+function parseUserDict(text) {
+  const entries = [], invalid = [];
+  const seen = new Set();
+  for (const row of CSV.parse(text)) {
+    const [surface = "", pos = "", reading = ""] = row.map(c => c.trim());
+    if (!surface || surface.startsWith("#") || surface === "表層形" || surface.toLowerCase() === "surface") continue;
+    const [top, detail] = (pos || "名詞").split(/[-－/／]/);
+    if (!(top in POS_TAGS)) {
+      invalid.push(surface);
+      continue;
+    }
+    if (seen.has(surface)) continue;
+    seen.add(surface);
+    entries.push({ surface, pos: top, detail: detail || POS_TAGS[top][0] || "*", reading: reading || "*" });
+  }
+  return { entries, invalid };
+}
+
+function readUserDict() {
+  const { entries, invalid } = parseUserDict(els.userDictText.value);
+  userDictEntries = entries;
+  const note = invalid.length ? `（品詞が不明のため無視：${invalid.join("、")}）` : "";
+  els.userDictSummary.textContent = `${entries.length}語${note}`;
+}
+
+function saveUserDict() {
+  try { localStorage.setItem(USER_DICT_STORAGE_KEY, els.userDictText.value); } catch { /* 保存できなくても動作には影響しない */ }
+}
+
+// CSV は今の内容の後ろに足す（同じ表層形は先に書いた方が有効）
+async function loadUserDictFile(file) {
+  const { text, encoding } = decodeText(await file.arrayBuffer());
+  const cur = els.userDictText.value.trimEnd();
+  els.userDictText.value = cur ? `${cur}\n${text.trim()}` : text.trim();
+  readUserDict();
+  saveUserDict();
+  setStatus(`ユーザー辞書に ${file.name} を追加しました（${encoding}・計${userDictEntries.length}語）`);
+}
+
+function initUserDict() {
+  try { els.userDictText.value = localStorage.getItem(USER_DICT_STORAGE_KEY) || ""; } catch { /* noop */ }
+  readUserDict();
+}
+
+// ---- orthographic normalization ----
+// オンにした段階を上から順に適用した形（キー）で語彙を引き、同じキーの語彙の語があればそれに寄せる
+// （複数あれば語彙順で先の語）。無ければ本文で最初に出た表記にまとめる
+// 送り仮名の表（KANJI_VARIANTS）は明示した組なので語彙にある語にも使う。それ以外の段階は語彙に無い語だけ
+// （カキ／かき、Go／go のように語彙の中でも別の語であることがある）
+const NORMALIZE_STORAGE_KEY = "wordEmbeddingForWeb.normalize";
+
+// 送り仮名・漢字かな交じりのゆれ（ゆれた表記 → 寄せる表記）。規則で送り仮名を落とすと
+// 生き物 → 生物 のように別の語になるので、この表にある組だけをそろえる
+const KANJI_VARIANTS = {
+  子ども: "子供", 友だち: "友達", 一人ひとり: "一人一人",
+  行なう: "行う", 表わす: "表す", 現わす: "現す", 現われる: "現れる", 断わる: "断る",
+  少い: "少ない", 異る: "異なる", 終る: "終わる", 変る: "変わる", 起る: "起こる", 当る: "当たる", 始る: "始まる",
+};
+const KANJI_VARIANT_RE = new RegExp(Object.keys(KANJI_VARIANTS).join("|"), "g");
+
+const NORMALIZE_STEPS = [
+  { id: "nfkc", name: "NFKC", label: "Unicode 正規化（NFKC。互換文字・合成文字をそろえる）", fn: s => s.normalize("NFKC") },
+  { id: "width", name: "幅", label: "全角英数字を半角に、半角カナを全角にそろえる", fn: unifyWidth },
+  { id: "kana", name: "かな", label: "カタカナをひらがなにそろえる", fn: s => toHiragana(s) },
+  { id: "okurigana", name: "送り仮名", label: "送り仮名・漢字表記のゆれをそろえる（子供／子ども、行う／行なう など）", fn: foldVariants },
+  { id: "lower", name: "小文字", label: "英字を小文字にそろえる（PC／pc）", fn: s => s.toLowerCase() },
+];
+const NORMALIZE_DEFAULT_STEPS = ["nfkc", "width", "lower"];
+
+let normalizeFns = [];            // オンにした段階の変換
+let normalizeIndex = null;        // { coordMap, wordToIndex, keys: Map（キー → 語彙の語） }
+let normalizedForms = new Map();  // 語彙に無いキー → 本文で最初に出た表記
+
+// 全角英数字・記号 → 半角、半角カナ → 全角カナ（濁点・半濁点は合成）
+function unifyWidth(s) {
+  return s
+    .replace(/[\uFF01-\uFF5E]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/\u3000/g, " ")
+    .replace(/[\uFF61-\uFF9F]+/g, m => m.normalize("NFKC"));
+}
+
+function foldVariants(s) {
+  return s.replace(KANJI_VARIANT_RE, m => KANJI_VARIANTS[m]);
+}
+
+function normalizeKey(w) {
+  return normalizeFns.reduce((s, fn) => fn(s), w);
+}
+
+// 座標・ベクトルの語彙をキーで引く索引。モデルを読み直したら作り直す
+function vocabByKey() {
+  if (normalizeIndex?.coordMap === coordMap && normalizeIndex.wordToIndex === wordToIndex) return normalizeIndex.keys;
+  const keys = new Map();
+  for (const vocab of new Set([coordMap, wordToIndex])) {
+    for (const w of vocab.keys()) {
+      const k = normalizeKey(w);
+      if (!keys.has(k)) keys.set(k, w);
+    }
+  }
+  normalizeIndex = { coordMap, wordToIndex, keys };
+  return keys;
+}
+
+function normalizeWord(w) {
+  if (!normalizeFns.length) return w;
+  if (normalizeFns.includes(foldVariants)) {
+    const folded = foldVariants(w);
+    // 寄せた先が語彙に無ければ語彙にある元の表記を使う（下の索引で同じキーの語にまとまる）
+    if (folded !== w && (inVocab(folded) || !inVocab(w))) w = folded;
+  }
+  if (inVocab(w)) return w;
+  const k = normalizeKey(w);
+  const hit = vocabByKey().get(k);
+  if (hit !== undefined) return hit;
+  if (!normalizedForms.has(k)) normalizedForms.set(k, w);
+  return normalizedForms.get(k);
+}
+
+function readNormalize() {
+  const steps = [...els.normSteps.querySelectorAll("input:checked")].map(i => i.value);
+  const on = NORMALIZE_STEPS.filter(s => steps.includes(s.id));
+  normalizeFns = on.map(s => s.fn);
+  normalizeIndex = null;
+  normalizedForms = new Map();
+  els.normSummary.textContent = on.length ? on.map(s => s.name).join("・") : "なし";
+  return steps;
+}
+
+function saveNormalize(steps) {
+  try { localStorage.setItem(NORMALIZE_STORAGE_KEY, JSON.stringify(steps)); } catch { /* 保存できなくても動作には影響しない */ }
+}
+
+function initNormalize() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(NORMALIZE_STORAGE_KEY)); } catch { /* noop */ }
+  const steps = Array.isArray(saved) ? saved : NORMALIZE_DEFAULT_STEPS;
+  for (const step of NORMALIZE_STEPS) {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = step.id;
+    input.checked = steps.includes(step.id);
+    label.append(input, ` ${step.label}`);
+    els.normSteps.appendChild(label);
+  }
+  readNormalize();
+}
+
+// ---- compound words ----
+// 連続する名詞（と 接頭詞＋名詞）を1語にまとめる。まとめた語が語彙に無ければ構成語の平均で置く
+let derivedParts = new Map();   // 語彙に無い語（複合語・近似した語）→ 配置に使う語彙の語
+
+const COMPOUND_BREAK = new Set(["非自立", "代名詞"]);
+
+function isCompoundHead(t) {
+  if (t.pos === "接頭詞") return t.pos_detail_1 === "名詞接続";
+  return t.pos === "名詞" && !COMPOUND_BREAK.has(t.pos_detail_1) && t.pos_detail_1 !== "接尾";
+}
+
+function isCompoundTail(t) {
+  return t.pos === "名詞" && !COMPOUND_BREAK.has(t.pos_detail_1);
+}
+
+// 固有名詞を含めば固有名詞（東京＋大学）、それ以外は接尾を除いた最後の名詞の細分類
+function compoundToken(run) {
+  const nouns = run.filter(t => t.pos === "名詞");
+  const head = [...nouns].reverse().find(t => t.pos_detail_1 !== "接尾");
+  const detail = nouns.some(t => t.pos_detail_1 === "固有名詞") ? "固有名詞" : head?.pos_detail_1 ?? "一般";
+  const surface = run.map(t => t.surface_form).join("");
+  const reading = run.every(t => t.reading && t.reading !== "*") ? run.map(t => t.reading).join("") : "*";
+  return { surface_form: surface, basic_form: surface, pos: "名詞", pos_detail_1: detail, reading, parts: run };
+}
+
+function mergeCompounds(tokens) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length > 1 && run.some(t => t.pos === "名詞")) out.push(compoundToken(run));
+    else out.push(...run);
+    run = [];
+  };
+  for (const t of tokens) {
+    if (run.length && isCompoundTail(t)) {
+      run.push(t);
+      continue;
+    }
+    flush();
+    if (isCompoundHead(t)) run.push(t);
+    else out.push(t);
+  }
+  flush();
+  return out;
+}
+
+function inVocab(w) {
+  return coordMap.has(w) || wordToIndex.has(w);
+}
+
+// まとめた語 → 使う語の列。語彙にあればそのまま、構成語の一部でも語彙にあれば平均で置く語として登録し、
+// どれも無ければ構成語に戻す
+function resolveCompound(t) {
+  const w = baseForm(t);
+  if (inVocab(w)) return [w];
+  const known = t.parts.map(baseForm).filter(inVocab);
+  if (known.length) {
+    derivedParts.set(w, known);
+    return [w];
+  }
+  return t.parts.filter(isTargetPOS).map(baseForm);
+}
+
+function averageCoord(parts) {
+  const cs = parts.map(coordOf).filter(Boolean);
+  if (!cs.length) return null;
+  const mean = (k) => cs.reduce((s, c) => s + c[k], 0) / cs.length;
+  const c = { x: mean("x"), y: mean("y") };
+  if (cs.every(p => p.z != null)) c.z = mean("z");
+  return c;
+}
+
+// 正規化済みのベクトル。語彙に無い語（複合語・近似した語）は配置に使う語の平均を正規化し直したもの
+function wordVector(w) {
+  const i = wordToIndex.get(w);
+  if (i !== undefined) return vectorOf(i);
+  const parts = (derivedParts.get(w) || []).filter(p => wordToIndex.has(p));
+  if (!parts.length) return null;
+  const q = new Float32Array(simD);
+  for (const p of parts) {
+    const v = vectorOf(wordToIndex.get(p));
+    for (let k = 0; k < simD; k++) q[k] += v[k];
+  }
+  normalizeRows(q, simD);
+  return q;
+}
+
+function hasVector(w) {
+  return wordToIndex.has(w) || (derivedParts.get(w) || []).some(p => wordToIndex.has(p));
+}
+
+function similarity(a, b) {
+  const i = wordToIndex.get(a), j = wordToIndex.get(b);
+  if (i !== undefined && j !== undefined) return cosineSimByIndex(i, j);
+  const va = wordVector(a), vb = wordVector(b);
+  let dot = 0;
+  for (let k = 0; k < simD; k++) dot += va[k] * vb[k];
+  return dot;
+}
+
+// ---- phrases (n-gram) ----
+// 隣り合う2〜PHRASE_MAX_TOKENS 語をつないだ形が語彙にあれば1語にする。word2vec の phrase 学習で
+// 語句を1語にしたモデル（ニューヨーク_タイムズ など）向けに、区切りなしと "_" 区切りの両方で引く
+const PHRASE_MAX_TOKENS = 4;
+const PHRASE_JOINERS = ["", "_"];
+
+// 語句になる形。最後の語は原形でも引く（取り組ん → 取り組む）
+function phraseForm(run) {
+  const heads = run.slice(0, -1).map(t => t.surface_form);
+  const last = run[run.length - 1];
+  for (const tail of new Set([last.surface_form, baseForm(last)])) {
+    for (const joiner of PHRASE_JOINERS) {
+      const w = [...heads, tail].join(joiner);
+      if (inVocab(w)) return w;
+    }
+  }
+  return null;
+}
+
+// 左から最長一致。品詞の絞り込みで残る語を含まない並び（助詞だけ等）はまとめない
+function mergePhrases(tokens) {
+  const out = [];
+  for (let i = 0; i < tokens.length;) {
+    let n = Math.min(PHRASE_MAX_TOKENS, tokens.length - i);
+    let w = null;
+    for (; n >= 2; n--) {
+      const run = tokens.slice(i, i + n);
+      if (run.some(isTargetPOS) && (w = phraseForm(run))) break;
+    }
+    if (n < 2) {
+      out.push(tokens[i++]);
+      continue;
+    }
+    const run = tokens.slice(i, i + n);
+    const last = run[n - 1];
+    const reading = run.every(t => t.reading && t.reading !== "*") ? run.map(t => t.reading).join("") : "*";
+    out.push({ surface_form: w, basic_form: w, pos: last.pos, pos_detail_1: last.pos_detail_1, reading, phraseParts: run });
+    i += n;
+  }
+  return out;
+}
+
+// ---- out-of-vocabulary words ----
+// 座標の無い語を出現回数つきで一覧にする。任意で語彙の語から位置を近似する（読み → 部分語 → 文字 bigram の順）
+const OOV_NGRAM_TOP = 3;        // 文字 bigram で平均に使う語数
+const OOV_NGRAM_MIN_DICE = 0.4;
+const OOV_LIST_MAX = 200;
+const APPROX_COLOR = "#8c8c8c";
+
+let approxMethods = new Map();  // 近似で置いた語 → 説明（方法と使った語）
+let wordReadings = new Map();   // 語 → kuromoji の読み（カタカナ）
+let bigramIndex = null;         // 文字 bigram → 座標のある語彙の語
+
+function toHiragana(s) {
+  return s.replace(/[ァ-ヶ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60));
+}
+
+function approxByReading(w) {
+  const r = wordReadings.get(w);
+  if (!r) return null;
+  const hit = [r, toHiragana(r)].find(c => c !== w && inCoordVocab(c));
+  return hit ? [hit] : null;
+}
+
+// 左から最長一致で語彙の語を拾う（1文字の断片は助詞などが多いので使わない）
+function approxBySubwords(w) {
+  const parts = [];
+  let i = 0;
+  while (i < w.length) {
+    let j = w.length;
+    while (j > i + 1 && !inCoordVocab(w.slice(i, j))) j--;
+    if (j > i + 1) {
+      parts.push(w.slice(i, j));
+      i = j;
+    } else {
+      i++;
+    }
+  }
+  return parts.length ? parts : null;
+}
+
+function bigrams(w) {
+  if (w.length < 2) return [w];
+  const out = [];
+  for (let i = 0; i + 1 < w.length; i++) out.push(w.slice(i, i + 2));
+  return out;
+}
+
+function ensureBigramIndex() {
+  if (bigramIndex) return bigramIndex;
+  bigramIndex = new Map();
+  for (const w of coordMap.keys()) {
+    if (!inCoordVocab(w)) continue;
+    for (const g of new Set(bigrams(w))) {
+      const list = bigramIndex.get(g);
+      if (list) list.push(w);
+      else bigramIndex.set(g, [w]);
+    }
+  }
+  return bigramIndex;
+}
+
+// 共有する bigram の Dice 係数が高い語の上位
+function approxByNgram(w) {
+  const grams = new Set(bigrams(w));
+  const shared = new Map();
+  for (const g of grams) {
+    for (const v of ensureBigramIndex().get(g) || []) shared.set(v, (shared.get(v) || 0) + 1);
+  }
+  const top = [];
+  for (const [v, n] of shared) {
+    pushTopK(top, OOV_NGRAM_TOP, v, (2 * n) / (grams.size + new Set(bigrams(v)).size));
+  }
+  const parts = top.filter(t => t.s >= OOV_NGRAM_MIN_DICE).map(t => t.j);
+  return parts.length ? parts : null;
+}
+
+const APPROX_METHODS = [["読み", approxByReading], ["部分語", approxBySubwords], ["文字n-gram", approxByNgram]];
+
+function approximateWord(w) {
+  for (const [label, fn] of APPROX_METHODS) {
+    const parts = fn(w);
+    if (!parts) continue;
+    derivedParts.set(w, parts);
+    approxMethods.set(w, `${label}：${parts.join("＋")}`);
+    return true;
+  }
+  return false;
+}
+
+function clearApproximations() {
+  for (const w of approxMethods.keys()) derivedParts.delete(w);
+  approxMethods = new Map();
+}
+
+function showOov(oov, counts) {
+  const total = oov.reduce((s, w) => s + counts.get(w), 0);
+  const approxCount = oov.filter(w => approxMethods.has(w)).length;
+  els.oovBox.hidden = oov.length === 0;
+  els.oovSummary.textContent = `語彙に無い語：${oov.length}語（延べ${total}回）`
+    + (approxCount ? `・うち${approxCount}語を近似して表示` : "");
+  els.oovList.innerHTML = "";
+  const sorted = [...oov].sort((a, b) => counts.get(b) - counts.get(a));
+  for (const w of sorted.slice(0, OOV_LIST_MAX)) {
     const li = document.createElement("li");
-    li.textContent = `${w}（類似度: ${s.toFixed(3)}）`;
-    els.simList.appendChild(li);
+    const approx = approxMethods.get(w);
+    li.textContent = `${w} ×${counts.get(w)}${approx ? `（近似 ${approx}）` : ""}`;
+    if (approx) li.className = "approx";
+    els.oovList.appendChild(li);
+  }
+  if (sorted.length > OOV_LIST_MAX) {
+    const li = document.createElement("li");
+    li.textContent = `ほか${sorted.length - OOV_LIST_MAX}語`;
+    els.oovList.appendChild(li);
   }
 }
 
-// ---- main ----
-async function run() {
-  const text = (els.text.value || "").trim();
-  if (!text) { alert("テキストを入力してください。"); return; }
+// 近似で置いた語は別の系列にして、灰色・白抜きの印で描く
+function splitApprox(words, pts) {
+  const base = { words: [], pts: [] }, approx = { words: [], pts: [] };
+  words.forEach((w, i) => {
+    const g = approxMethods.has(w) ? approx : base;
+    g.words.push(w);
+    g.pts.push(pts[i]);
+  });
+  return { base, approx };
+}
 
-  els.run.disabled = true;
+// ---- IndexedDB cache ----
+// 解析済みのモデル（座標・語彙・ベクトル）をファイルのバージョンごとに保存する
+const CACHE_DB = "wordEmbeddingForWeb";
+const CACHE_STORE = "models";
+// 保存する値の形式や解析処理を変えたら上げる（古いキャッシュを使わせない）
+const CACHE_SCHEMA = 2;
+
+let cacheDB = null;
+
+function openCacheDB() {
+  if (cacheDB) return cacheDB;
+  cacheDB = new Promise((resolve, reject) => {
+    const req = indexedDB.open(CACHE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(CACHE_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  cacheDB.catch(() => { cacheDB = null; });
+  return cacheDB;
+}
+
+async function cacheRequest(mode, fn) {
+  const db = await openCacheDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, mode);
+    const req = fn(tx.objectStore(CACHE_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const cacheGet = (key) => cacheRequest("readonly", st => st.get(key));
+const cachePut = (key, value) => cacheRequest("readwrite", st => st.put(value, key));
+const cacheClear = () => cacheRequest("readwrite", st => st.clear());
+const cacheDeletePrefix = (prefix) =>
+  cacheRequest("readwrite", st => st.delete(IDBKeyRange.bound(prefix, prefix + "\uffff")));
+
+// FNV-1a（バージョン文字列の短縮用。暗号強度は不要）
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// ETag / Last-Modified / サイズからファイル群のバージョンを求める
+// どれも返さないファイルがあれば null（中身が変わっても気づけないのでキャッシュしない）
+async function fileVersion(urls) {
+  const parts = await Promise.all(urls.map(async (url) => {
+    const r = await fetch(url, { method: "HEAD", cache: "no-cache" });
+    if (!r.ok) throw new Error(`HEAD ${url}: ${r.status}`);
+    const tags = ["etag", "last-modified", "content-length"].map(k => r.headers.get(k));
+    return tags.some(Boolean) ? [url, ...tags].join("|") : null;
+  }));
+  if (parts.includes(null)) return null;
+  return hashString([CACHE_SCHEMA, ...parts].join("\n"));
+}
+
+// kind ごとに最新バージョンだけ保持する。バージョンが取れない（オフライン等）ときは直近のものを使う
+// 配信側がバージョンを示すヘッダを返さないときはキャッシュを使わず毎回読む
+async function loadWithCache(kind, urls, load) {
+  let version;   // 取れなければ undefined、ヘッダが無ければ null
   try {
-    // クリック時に初回ロード（ページ表示時は何もしない）
-    await ensurePlotly();
-    await ensureTokenizer();
-    await ensureCoords();
-
-    setStatus("分かち書き中…");
-    let words = tokenizeText(text);
-    if (els.uniqueOnly.checked) words = [...new Set(words)];
-
-    const kept = [];
-    const xy = [];
-    for (const w of words) {
-      const c = coordMap.get(w);
-      if (!c) continue;
-      kept.push(w);
-      xy.push([c.x, c.y]);
-    }
-
-    if (kept.length < 2) {
-      setStatus("プロット可能な単語が少なすぎます（2語以上必要）。");
-      return;
+    version = await fileVersion(urls);
+  } catch (e) {
+    console.warn(e);
+  }
+  if (version === null) return { value: await load(), version: null, cached: false };
+
+  try {
+    const key = version ?? await cacheGet(`${kind}:latest`);
+    const hit = key && await cacheGet(`${kind}:${key}`);
+    if (hit) return { value: hit, version: key, cached: true };
+  } catch (e) {
+    console.warn("cache read failed", e);
+  }
+
+  const value = await load();
+  if (version) {
+    try {
+      await cacheDeletePrefix(`${kind}:`);
+      await cachePut(`${kind}:${version}`, value);
+      await cachePut(`${kind}:latest`, version);
+    } catch (e) {
+      console.warn("cache write failed", e);
     }
+  }
+  return { value, version, cached: false };
+}
+
+// ---- model manifest ----
+function fileLabel(url) { return url.split("/").pop(); }
 
-    currentWords = kept;
-    setStatus(`完了：${kept.length}語をプロット（類似語はクリックで初回ロード）`);
-    renderPlot(kept, xy);
+function resolveModel(m, base) {
+  return {
+    ...m,
+    dim: Number(m.dim),
+    vocabUrl: new URL(m.vocab, base).href,
+    vectorsUrl: new URL(m.vectors, base).href,
+    coordsUrl: new URL(m.coords, base).href,
+  };
+}
 
+async function loadModelManifest() {
+  const base = new URL(MODEL_MANIFEST, location.href);
+  try {
+    const res = await fetch(base, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const list = (await res.json()).models || [];
+    if (!list.length) throw new Error("models が空です");
+    return list.map(m => resolveModel(m, base));
   } catch (e) {
-    console.error(e);
-    alert(`エラー: ${e.message}`);
-    setStatus("エラー（Console参照）");
-  } finally {
-    els.run.disabled = false;
+    console.warn("manifest.json を読めないため既定モデルを使用", e);
+    return [resolveModel(DEFAULT_MODEL, base)];
   }
 }
 
-setStatus("準備完了（ボタンで開始）");
-els.run.addEventListener("click", run);
+function describeModel(m) {
+  const parts = [m.language, `${m.dim}次元`, m.format || m.dtype];
+  if (m.license) parts.push(`ライセンス: ${m.license}`);
+  return parts.filter(Boolean).join(" / ");
+}
+
+// 座標・語彙・ベクトルと、それに依存する状態をすべて捨てる
+function resetModelState() {
+  coordsLoaded = false;
+  coordMap = new Map();
+  coordWords = [];
+  coordXs = coordYs = coordZs = null;
+  coordsHaveZ = false;
+  coordsAligned = false;
+  simLoaded = false;
+  wordToIndex = new Map();
+  indexToWord = [];
+  derivedParts = new Map();
+  approxMethods = new Map();
+  bigramIndex = null;
+  vecData = null;
+  vecInvNorm = null;
+  annIndex = null;
+  annBuilding = null;
+  simVersion = null;
+  enableSimFeatures();
+  currentWords = [];
+  selectedWord = null;
+  els.selectedWord.textContent = "（未選択）";
+  els.simList.innerHTML = "";
+  els.anaList.innerHTML = "";
+}
+
+const MODEL_STORAGE_KEY = "wordEmbeddingForWeb.model";
+
+function selectModel(id) {
+  const m = models.find(x => x.id === id) || models[0];
+  if (currentModel && currentModel.id === m.id) return false;
+  currentModel = m;
+  simD = m.dim;
+  resetModelState();
+  els.modelSelect.value = m.id;
+  els.modelInfo.textContent = describeModel(m);
+  try { localStorage.setItem(MODEL_STORAGE_KEY, m.id); } catch { /* 保存できなくても動作には影響しない */ }
+  return true;
+}
+
+async function initModels() {
+  models = await loadModelManifest();
+  els.modelSelect.innerHTML = "";
+  for (const m of models) els.modelSelect.add(new Option(m.name || m.id, m.id));
+  let saved = null;
+  try { saved = localStorage.getItem(MODEL_STORAGE_KEY); } catch { /* noop */ }
+  selectModel(saved);
+}
+
+// ---- model import ----
+function importVectors(file) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(IMPORT_WORKER_URL);
+    worker.onmessage = (ev) => {
+      const m = ev.data;
+      if (m.type === "progress") {
+        setStatus(`${file.name} 読込中…（${Math.round(m.done / m.total * 100)}%）`);
+        return;
+      }
+      worker.terminate();
+      if (m.type === "error") reject(new Error(m.message));
+      else resolve(m);
+    };
+    worker.onerror = (e) => { worker.terminate(); reject(new Error(e.message || "import worker error")); };
+    worker.postMessage({ file, maxWords: IMPORT_MAX_WORDS });
+  });
+}
+
+// 座標ファイルが無ければ語彙全体の PCA（3成分）で配置する
+async function autoLayout(vocab, vec, dim) {
+  const n = vocab.length;
+  const pts = await runProjection("pca", vec.slice(), n, dim, 3, { maxSample: IMPORT_PCA_SAMPLE });
+  const xs = new Float32Array(n), ys = new Float32Array(n), zs = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    xs[i] = pts[i * 3];
+    ys[i] = pts[i * 3 + 1];
+    zs[i] = pts[i * 3 + 2];
+  }
+  return { words: vocab, xs, ys, zs, aligned: true };
+}
+
+// ベクトルファイル1つ（＋任意で座標CSV）をモデル一覧に加えて選択する
+async function importModelFiles(files) {
+  const list = [...files];
+  const coordsFile = list.find(f => /\.csv$/i.test(f.name));
+  const vecFile = list.find(f => f !== coordsFile);
+  if (!vecFile) {
+    setStatus("ベクトルファイル（.bin / .vec / .txt）が含まれていません");
+    return;
+  }
+
+  els.run.disabled = true;
+  els.modelSelect.disabled = true;
+  try {
+    await modelsReady;
+    setStatus(`${vecFile.name} 読込中…`);
+    const r = await importVectors(vecFile);
+
+    let coords;
+    if (coordsFile) {
+      coords = await parseCoords({ file: coordsFile }, coordsFile.name);
+    } else {
+      setStatus("座標ファイルが無いため PCA で配置を計算中…");
+      coords = await autoLayout(r.vocab, r.vec, r.dim);
+    }
+
+    const model = {
+      id: `import:${vecFile.name}:${Date.now()}`,
+      name: `${vecFile.name}（読込）`,
+      language: null,
+      dim: r.dim,
+      dtype: "float32",
+      format: r.format,
+      license: null,
+      imported: { vocab: r.vocab, vec: r.vec, coords },
+    };
+    models.push(model);
+    els.modelSelect.add(new Option(model.name, model.id));
+    selectModel(model.id);
+
+    const note = r.truncated ? `（先頭${IMPORT_MAX_WORDS}語まで）` : "";
+    setStatus(`読込完了：${r.format}, ${r.vocab.length}語 × ${r.dim}次元${note}`);
+    if (els.text.value.trim()) await run();
+  } catch (e) {
+    console.error(e);
+    setStatus(`モデル読込エラー：${e.message}`);
+  } finally {
+    els.run.disabled = false;
+    els.modelSelect.disabled = false;
+  }
+}
+
+// ---- vector file formats ----
+// ベクトルファイルは「語彙順に n×dim 個」。型は manifest の dtype か、先頭の WVEC ヘッダで指定する
+//   ヘッダ（16バイト, LE）: "WVEC" | version(u8)=1 | dtype(u8: 0=float32, 1=float16, 2=int8) | 予約(u16) | n(u32) | dim(u32)
+//   int8 の本体: 行ごとのスケール float32[n] → 量子化値 int8[n×dim]（元の値 ≒ q × scale）
+const VEC_HEADER_BYTES = 16;
+const VEC_DTYPES = ["float32", "float16", "int8"];
+
+function parseVectorHeader(buf) {
+  if (buf.byteLength < VEC_HEADER_BYTES) return null;
+  const v = new DataView(buf);
+  if (String.fromCharCode(v.getUint8(0), v.getUint8(1), v.getUint8(2), v.getUint8(3)) !== "WVEC") return null;
+  const dtype = VEC_DTYPES[v.getUint8(5)];
+  if (v.getUint8(4) !== 1 || !dtype) throw new Error("未対応のベクトルファイル形式です");
+  return { dtype, n: v.getUint32(8, true), dim: v.getUint32(12, true), offset: VEC_HEADER_BYTES };
+}
+
+function vectorBytes(dtype, n, dim) {
+  if (dtype === "float16") return n * dim * 2;
+  if (dtype === "int8") return n * 4 + n * dim;
+  return n * dim * 4;
+}
+
+const HALF_TABLE = (() => {
+  const t = new Float32Array(65536);
+  for (let h = 0; h < 65536; h++) {
+    const s = h & 0x8000 ? -1 : 1, e = (h >> 10) & 0x1f, f = h & 0x3ff;
+    t[h] = e === 0 ? s * Math.pow(2, -14) * (f / 1024)
+      : e === 31 ? (f ? NaN : s * Infinity)
+      : s * Math.pow(2, e - 15) * (1 + f / 1024);
+  }
+  return t;
+})();
+
+// float32 / float16 は正規化した Float32Array に、int8 は量子化値のまま（1/‖q‖ を添える）
+function decodeVectors(buf, n, dim, dtype) {
+  const header = parseVectorHeader(buf);
+  let offset = 0;
+  if (header) {
+    if (header.n !== n || header.dim !== dim) {
+      throw new Error(`ヘッダの語数・次元数（${header.n}×${header.dim}）がモデル（${n}×${dim}）と一致しません`);
+    }
+    ({ dtype, offset } = header);
+  }
+  if (buf.byteLength - offset !== vectorBytes(dtype, n, dim)) throw new Error(`サイズ不一致（${dtype}）`);
+
+  if (dtype === "int8") {
+    const q = new Int8Array(buf, offset + n * 4, n * dim).slice();
+    const invNorm = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      let s = 0;
+      for (let k = 0; k < dim; k++) s += q[i * dim + k] * q[i * dim + k];
+      invNorm[i] = s ? 1 / Math.sqrt(s) : 0;
+    }
+    return { vec: q, invNorm };
+  }
+
+  let vec;
+  if (dtype === "float16") {
+    const h = new Uint16Array(buf, offset, n * dim);
+    vec = new Float32Array(n * dim);
+    for (let i = 0; i < h.length; i++) vec[i] = HALF_TABLE[h[i]];
+  } else {
+    vec = new Float32Array(buf, offset, n * dim).slice();
+  }
+  if (!vec.every(Number.isFinite)) throw new Error("不正な値（NaN/Infinity）があります");
+  normalizeRows(vec, dim);
+  return { vec, invNorm: null };
+}
+
+// ---- load progress ----
+// 初回読込（辞書・座標・ベクトル）のリソースごとのバイト数と全体の割合を出す。キャンセルは AbortController
+let loadAbort = null;
+let loadDepth = 0;             // 進行中の beginLoad の数
+const loadItems = new Map();   // key → { done, total, bar, bytes }
+
+function formatBytes(n) {
+  return n >= 1048576 ? `${(n / 1048576).toFixed(1)}MB` : `${Math.ceil(n / 1024)}KB`;
+}
+
+// 一連の読込を1つの表示にまとめる。既に進行中なら（入れ子や並行した呼び出し）表示とキャンセルを共有し、
+// 最後の endLoad で閉じる（先に始めた側が先に終わっても後の読込のキャンセルは効く）
+function beginLoad() {
+  if (loadDepth++ > 0 && !loadAbort.signal.aborted) return;
+  loadAbort = new AbortController();
+  loadItems.clear();
+  els.loadItems.innerHTML = "";
+}
+
+function endLoad() {
+  if (--loadDepth > 0) return;
+  loadAbort = null;
+  els.loadProgress.hidden = true;
+}
+
+function loadSignal() {
+  return loadAbort?.signal;
+}
+
+const isAbort = (e) => e?.name === "AbortError";
+
+// Worker やスクリプト読込のように fetch でないものをキャンセル可能にする
+function abortable(promise, signal = loadSignal()) {
+  if (!signal) return promise;
+  return Promise.race([promise, new Promise((_, reject) => {
+    if (signal.aborted) reject(signal.reason);
+    signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+  })]);
+}
+
+// 表示はキャッシュヒットで一瞬で終わる読込ではちらつかないよう、最初の進捗が来たときに出す
+// total が 0（サイズ不明）の項目は全体の割合に含めない。全体の割合はダウンロード（バイト数の項目）で求め、
+// それが無いとき（分かち書きだけのとき等）はほかの項目で求める
+function trackProgress(key, label, done, total, format = formatBytes) {
+  if (!loadAbort) return;
+  let item = loadItems.get(key);
+  if (!item) {
+    const li = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = label;
+    item = { bar: document.createElement("progress"), bytes: document.createElement("span") };
+    item.bytes.className = "status";
+    li.append(name, item.bar, item.bytes);
+    els.loadItems.appendChild(li);
+    loadItems.set(key, item);
+    els.loadProgress.hidden = false;
+  }
+  item.done = done;
+  item.total = total;
+  item.format = format;
+  if (total) {
+    item.bar.max = total;
+    item.bar.value = Math.min(done, total);
+  } else {
+    item.bar.removeAttribute("value");
+  }
+  item.bytes.textContent = total ? `${format(done)} / ${format(total)}` : format(done);
+
+  const sized = [...loadItems.values()].filter(it => it.total);
+  const downloads = sized.filter(it => it.format === formatBytes);
+  let sumDone = 0, sumTotal = 0;
+  for (const it of downloads.length ? downloads : sized) {
+    sumDone += Math.min(it.done, it.total);
+    sumTotal += it.total;
+  }
+  els.loadTotal.value = sumTotal ? sumDone / sumTotal : 0;
+  els.loadPct.textContent = sumTotal ? `${Math.floor(sumDone / sumTotal * 100)}%` : "";
+}
+
+// 本体をストリームで読みながら進捗を出す
+function fetchWithProgress(url, label) {
+  return withRetry(label, () => fetchOnceWithProgress(url, label));
+}
+
+async function fetchOnceWithProgress(url, label) {
+  const res = await fetch(url, { cache: "force-cache", signal: loadSignal() });
+  if (!res.ok) {
+    const e = new Error(`${label} が見つかりません（HTTP ${res.status}）`);
+    e.status = res.status;
+    throw e;
+  }
+  const total = Number(res.headers.get("content-length")) || 0;
+  const reader = res.body.getReader();
+  const chunks = [];
+  let done = 0;
+  trackProgress(url, label, 0, total);
+  for (;;) {
+    const r = await reader.read();
+    if (r.done) break;
+    chunks.push(r.value);
+    done += r.value.length;
+    trackProgress(url, label, done, total);
+  }
+  trackProgress(url, label, done, done);
+  const bytes = new Uint8Array(done);
+  let p = 0;
+  for (const c of chunks) { bytes.set(c, p); p += c.length; }
+  return bytes.buffer;
+}
+
+// ---- lazy loaders ----
+async function ensurePlotly() {
+  if (window.Plotly) return;
+  setStatus("描画ライブラリ読込中…（初回のみ）");
+  await abortable(loadScriptFromMirrors(PLOTLY_URLS));
+}
+
+async function ensureRenderer() {
+  if (plotRenderer) return;
+  if (PLOT_RENDERER !== "canvas") {
+    try {
+      await ensurePlotly();
+      plotRenderer = "plotly";
+      return;
+    } catch (e) {
+      // キャンセルは読めなかったわけではないので、Canvas に切り替えず次の描画で Plotly を試し直す
+      if (isAbort(e) || PLOT_RENDERER === "plotly") throw e;
+      console.warn(e);
+    }
+  }
+  await withRetry("描画ライブラリ", () => loadScriptOnce(CANVAS_PLOT_URL));
+  plotRenderer = "canvas";
+  // Canvas 描画は 2D のみ
+  els.viewMode.value = "2";
+  els.viewMode.disabled = true;
+}
+
+function plotDims() {
+  return plotRenderer === "canvas" ? 2 : Number(els.viewMode.value);
+}
+
+// kuromoji を Worker で動かす。tokenize(text, options) は Promise でトークン列を返す
+// Worker が落ちたら待っている要求はすべて失敗にする
+// onProgress(file, done, total)：Worker 内の kuromoji が辞書ファイルを読む進捗
+function createTokenizer(onProgress) {
+  const worker = new Worker(TOKENIZER_WORKER_URL);
+  const pending = new Map();   // id → { resolve, reject }
+  let nextId = 0;
+  let sentUserDict = null;     // 送り済みのユーザー辞書（同じ配列なら送り直さない）
+
+  const failAll = (err) => {
+    for (const p of pending.values()) p.reject(err);
+    pending.clear();
+  };
+  worker.onmessage = (ev) => {
+    const { id, type, tokens, message } = ev.data;
+    if (type === "progress") {
+      onProgress?.(ev.data.file, ev.data.done, ev.data.total);
+      return;
+    }
+    const p = pending.get(id);
+    if (!p) return;
+    pending.delete(id);
+    if (type === "error") p.reject(new Error(message));
+    else p.resolve(tokens);
+  };
+  worker.onerror = (e) => failAll(new Error(e.message || "tokenizer worker error"));
+
+  const request = (msg) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ ...msg, id });
+  });
+
+  return {
+    init: () => request({
+      type: "init",
+      scriptUrl: new URL(KUROMOJI_URL, location.href).href,
+      dicPath: new URL(DIC_PATH, location.href).href,
+    }),
+    tokenize: (text, options = {}) => request({ type: "tokenize", text, options }),
+    setUserDict: async (entries) => {
+      if (entries === sentUserDict) return;
+      await request({ type: "userdict", entries });
+      sentUserDict = entries;
+    },
+    terminate: () => {
+      worker.terminate();
+      failAll(new Error("tokenizer terminated"));
+    },
+  };
+}
+
+// 辞書の読込は回線によっては時間がかかるので、ms の間に進捗が無いときだけ打ち切る
+async function buildTokenizerWithTimeout(ms = TOKENIZER_TIMEOUT_MS) {
+  let timer = null, expire = null;
+  const restart = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => expire(new Error("kuromoji build timeout")), ms);
+  };
+  const tk = createTokenizer((file, done, total) => {
+    restart();
+    trackProgress(DIC_PATH + file, file, done, total);
+  });
+  try {
+    await Promise.race([
+      tk.init(),
+      new Promise((_, reject) => { expire = reject; restart(); }),
+    ]);
+    return tk;
+  } catch (e) {
+    tk.terminate();
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function ensureTokenizer() {
+  if (tokenizer) return;
+  setStatus("形態素解析準備中…（初回のみ）");
+  // キャンセルしても構築は続け、次の実行でその結果を使う
+  if (!tokenizerBuilding) {
+    tokenizerBuilding = withRetry("形態素解析器", () => buildTokenizerWithTimeout());
+    tokenizerBuilding.catch(() => { tokenizerBuilding = null; });
+  }
+  tokenizer = await abortable(tokenizerBuilding);
+}
+
+// 座標ファイルは Worker でストリーム解析する（src: { url } または { file }）
+function parseCoords(src, label) {
+  const signal = loadSignal();
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(COORDS_WORKER_URL);
+    signal?.addEventListener("abort", () => { worker.terminate(); reject(signal.reason); }, { once: true });
+    worker.onmessage = (ev) => {
+      const m = ev.data;
+      if (m.type === "progress") {
+        const pct = m.total ? `${Math.round(m.done / m.total * 100)}%` : formatBytes(m.done);
+        setStatus(`座標(${label})読込中…（${pct}）`);
+        trackProgress(src.url || label, label, m.done, m.total);
+        return;
+      }
+      worker.terminate();
+      if (m.type === "error") reject(Object.assign(new Error(`${label}: ${m.message}`), { status: m.status }));
+      else resolve({ words: m.words, xs: m.xs, ys: m.ys, zs: m.zs, aligned: m.aligned });
+    };
+    worker.onerror = (e) => { worker.terminate(); reject(new Error(e.message || "coords worker error")); };
+    worker.postMessage(src);
+  });
+}
+
+async function ensureCoords() {
+  if (coordsLoaded) return;
+  let value;
+  if (currentModel.imported) {
+    value = currentModel.imported.coords;
+  } else {
+    const url = currentModel.coordsUrl;
+    setStatus(`座標(${fileLabel(url)})読込中…（初回のみ）`);
+    const loaded = await loadWithCache(`${currentModel.id}/coords`, [url], () =>
+      withRetry("座標", () => parseCoords({ url }, fileLabel(url))));
+    if (loaded.cached) setStatus("座標をキャッシュから読込");
+    value = loaded.value;
+  }
+
+  const { words, xs, ys, zs, aligned } = value;
+  coordWords = words;
+  coordXs = xs;
+  coordYs = ys;
+  coordZs = zs;
+  coordsHaveZ = zs != null;
+  coordsAligned = !!aligned;
+  if (coordsAligned && simLoaded && sameAsVocab(words)) {
+    coordMap = wordToIndex;
+  } else {
+    coordMap = new Map();
+    for (let i = 0; i < words.length; i++) coordMap.set(words[i], i);
+  }
+  coordsLoaded = true;
+}
+
+// 語彙順とうたうファイルでも、語の並びが実際に vocab.json と同じときだけ共有する
+function sameAsVocab(words) {
+  return words.length === indexToWord.length && words.every((w, i) => w === indexToWord[i]);
+}
+
+// ベクトル側の語 → 行番号を決める。座標が語彙順なら同じ Map をそのまま使う
+function indexVocab(vocab) {
+  indexToWord = vocab;
+  wordToIndex = coordsLoaded && coordsAligned && sameAsVocab(coordWords)
+    ? coordMap
+    : new Map(vocab.map((w, i) => [w, i]));
+}
+
+// 座標ファイルにある語か（複合語・近似した語は含まない）
+function inCoordVocab(w) {
+  const i = coordMap.get(w);
+  return i !== undefined && Number.isFinite(coordXs[i]);
+}
+
+function coordOf(w) {
+  const i = coordMap.get(w);
+  if (i === undefined) return derivedParts.has(w) ? averageCoord(derivedParts.get(w)) : null;
+  if (!Number.isFinite(coordXs[i])) return null;
+  const c = { x: coordXs[i], y: coordYs[i] };
+  if (coordZs && Number.isFinite(coordZs[i])) c.z = coordZs[i];
+  return c;
+}
+
+function hasCoord(w) {
+  const i = coordMap.get(w);
+  if (i === undefined) return derivedParts.has(w) && averageCoord(derivedParts.get(w)) != null;
+  return Number.isFinite(coordXs[i]);
+}
+
+async function ensureSimModel() {
+  if (simLoaded) return;
+  if (simError) throw new Error(simError);
+  if (currentModel.imported) {
+    const { vocab, vec } = currentModel.imported;
+    indexVocab(vocab);
+    vecData = vec;
+    vecInvNorm = null;
+    simLoaded = true;
+    return;
+  }
+  setStatus("類似語モデル読込中…（初回のみ）");
+  let loaded;
+  try {
+    const { id, vocabUrl, vectorsUrl, dtype } = currentModel;
+    const name = fileLabel(vectorsUrl);
+    loaded = await loadWithCache(`${id}/sim`, [vocabUrl, vectorsUrl], async () => {
+      const [vocabBuf, buf] = await Promise.all([
+        fetchWithProgress(vocabUrl, fileLabel(vocabUrl)),
+        fetchWithProgress(vectorsUrl, name),
+      ]);
+      const vocab = JSON.parse(new TextDecoder("utf-8").decode(vocabBuf));
+      try {
+        return { vocab, ...decodeVectors(buf, vocab.length, simD, dtype || "float32") };
+      } catch (e) {
+        throw new Error(`${name}: ${e.message}`);
+      }
+    });
+  } catch (e) {
+    // キャンセルはモデルの不具合ではないので、次の操作で読み直せるようにしておく
+    if (!isAbort(e)) disableSimFeatures(e.message);
+    throw e;
+  }
+  const { value, version, cached } = loaded;
+  indexVocab(value.vocab);
+  vecData = value.vec;
+  vecInvNorm = value.invNorm;
+  simVersion = version;
+  simLoaded = true;
+  setStatus(cached ? "準備完了（モデルはキャッシュから読込）" : "準備完了");
+}
+
+// ---- vector model availability ----
+// ベクトルファイルの有無・サイズを HEAD で先に確かめる（本体の読込はクリック時のまま）
+async function probeSimModel() {
+  if (simError) showSimError();
+  if (simLoaded || simError || currentModel.imported) return;
+  try {
+    const url = currentModel.vectorsUrl;
+    const r = await fetch(url, { method: "HEAD", cache: "no-cache" });
+    if (!r.ok) throw new Error(`${fileLabel(url)} が見つかりません（HTTP ${r.status}）`);
+    if (r.headers.get("content-length") === "0") throw new Error(`${fileLabel(url)} が空です`);
+  } catch (e) {
+    console.warn(e);
+    disableSimFeatures(e.message);
+  }
+}
+
+// ベクトルを使う機能を止め、類似語は座標距離で代替する
+function disableSimFeatures(reason) {
+  simError = reason;
+  setStatus(`類似語モデルを利用できません：${reason}（類似語は座標距離で代替）`);
+  els.anaRun.disabled = true;
+  els.annCheck.disabled = true;
+  for (const opt of els.projection.options) opt.disabled = opt.value !== "global";
+  els.projection.value = "global";
+  showSimError();
+}
+
+function enableSimFeatures() {
+  simError = null;
+  els.anaRun.disabled = false;
+  els.annCheck.disabled = false;
+  for (const opt of els.projection.options) opt.disabled = false;
+}
+
+function showSimError() {
+  showError(`類似語モデルを利用できません：${simError}（類似語は座標距離で代替）`, retrySimModel);
+}
+
+// エラー欄の「再試行」：同じモデルのベクトルを読み直す（モデルを切り替えたときも simError は消える）
+async function retrySimModel() {
+  hideError();
+  enableSimFeatures();
+  if (await simAvailable()) setStatus("類似語モデルを読み込みました");
+}
+
+// 実行中に無効にしたボタンを戻す。ベクトルが使えないあいだ、ベクトルを使うボタンは無効のまま
+function unlock(el) {
+  el.disabled = simError != null && (el === els.anaRun || el === els.annCheck);
+}
+
+async function simAvailable() {
+  beginLoad();
+  try {
+    await ensureSimModel();
+    return true;
+  } catch (e) {
+    console.warn(e);
+    return false;
+  } finally {
+    endLoad();
+  }
+}
+
+// ---- projection ----
+const PROJECTION_LABELS = { global: "全体座標", pca: "PCA", tsne: "t-SNE", umap: "UMAP" };
+
+function stopProjection(reason) {
+  if (!projWorker) return;
+  projWorker.terminate();
+  projReject(reason);
+  projWorker = projReject = null;
+}
+
+// 実行中の射影があれば打ち切って（待っている側には AbortError を返す）新しい Worker で計算する
+// 読込のキャンセルでも Worker を止める
+function runProjection(method, data, n, d, dims, opts = {}) {
+  stopProjection(new DOMException("新しい射影を始めたため打ち切りました", "AbortError"));
+  const signal = loadSignal();
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(signal.reason); return; }
+    const worker = projWorker = new Worker(PROJECTION_WORKER_URL);
+    projReject = reject;
+    const onAbort = () => { if (projWorker === worker) stopProjection(signal.reason); };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const done = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+      if (projWorker === worker) projWorker = projReject = null;
+    };
+    worker.onmessage = (ev) => {
+      const m = ev.data;
+      if (m.type === "progress") {
+        setStatus(`${PROJECTION_LABELS[method]} 計算中…（${Math.round(m.done / m.total * 100)}%）`);
+        trackProgress("projection", `${PROJECTION_LABELS[method]} 計算`, m.done, m.total, String);
+        return;
+      }
+      done();
+      if (m.type === "error") reject(new Error(m.message));
+      else resolve(m.coords);
+    };
+    worker.onerror = (e) => { done(); reject(new Error(e.message || "projection worker error")); };
+    worker.postMessage({ method, data, n, d, dims, opts }, [data.buffer]);
+  });
+}
+
+function projectVectors(method, words, dims) {
+  const n = words.length;
+  const data = new Float32Array(n * simD);
+  words.forEach((w, i) => data.set(wordVector(w), i * simD));
+  return runProjection(method, data, n, simD, dims);
+}
+
+// 単語列の座標（dims=2 or 3）を選択中の方式で求める。ベクトルが無ければ coordMap に戻す
+async function layoutWords(words, dims = 2) {
+  const globalLayout = (note = "") => {
+    const kept = words.filter(w => hasCoord(w) && (dims === 2 || coordOf(w).z != null));
+    const xy = kept.map(w => {
+      const c = coordOf(w);
+      return dims === 3 ? [c.x, c.y, c.z] : [c.x, c.y];
+    });
+    return { words: kept, xy, dims, method: "global", note };
+  };
+
+  let method = els.projection.value;
+  if (method === "global" && (dims === 2 || coordsHaveZ)) return globalLayout();
+
+  try {
+    await ensureSimModel();
+  } catch (e) {
+    if (isAbort(e)) throw e;
+    console.warn(e);
+    if (dims === 3) return { ...(await layoutWords(words, 2)), note: "ベクトル未取得のため2Dで表示" };
+    return globalLayout("ベクトル未取得のため全体座標で表示");
+  }
+
+  // 3列座標が無い場合の3D表示はベクトルのPCA 3成分で代用する
+  if (method === "global") method = "pca";
+
+  const kept = words.filter(w => hasVector(w));
+  // 同じ語が複数回あっても射影は1回だけ計算する
+  const uniq = [...new Set(kept)];
+  if (uniq.length < dims + 1) return globalLayout("語数が少ないため全体座標で表示");
+  let note = "";
+  // t-SNE / UMAP は近傍が取れないほど少ないと不安定なので PCA にする
+  if (uniq.length < 5) method = "pca";
+  if (uniq.length > PROJECTION_MAX_WORDS && method !== "pca") {
+    note = `${PROJECTION_MAX_WORDS}語を超えるため PCA で表示`;
+    method = "pca";
+  }
+
+  const coords = await projectVectors(method, uniq, dims);
+  const pos = new Map(uniq.map((w, i) => [w, Array.from(coords.subarray(i * dims, (i + 1) * dims))]));
+  return { words: kept, xy: kept.map(w => pos.get(w)), dims, method, note };
+}
+
+// ---- render ----
+const OVERLAY_COLOR = "#d62728";
+
+function scatterTrace(words, pts, dims, style) {
+  const t = {
+    x: pts.map(p => p[0]),
+    y: pts.map(p => p[1]),
+    mode: "markers+text",
+    type: dims === 3 ? "scatter3d" : "scatter",
+    text: words,
+    textposition: "top center",
+    hoverinfo: "text",
+    ...style
+  };
+  if (dims === 3) t.z = pts.map(p => p[2]);
+  return t;
+}
+
+// 3D では annotation の矢印が使えないので線分＋円錐で描く
+function arrowTraces3d(pts, arrows) {
+  const traces = [];
+  for (const [from, to] of arrows) {
+    const a = pts[from], b = pts[to];
+    traces.push({
+      type: "scatter3d", mode: "lines", hoverinfo: "skip",
+      x: [a[0], b[0]], y: [a[1], b[1]], z: [a[2], b[2]],
+      line: { color: OVERLAY_COLOR, width: 4 }
+    });
+    traces.push({
+      type: "cone", hoverinfo: "skip", showscale: false, anchor: "tip", sizemode: "absolute", sizeref: 0.3,
+      x: [b[0]], y: [b[1]], z: [b[2]],
+      u: [b[0] - a[0]], v: [b[1] - a[1]], w: [b[2] - a[2]],
+      colorscale: [[0, OVERLAY_COLOR], [1, OVERLAY_COLOR]]
+    });
+  }
+  return traces;
+}
+
+// pts は [x, y] または [x, y, z]
+// overlay: { words, xy, arrows: [[fromIdx, toIdx], ...] }（類推の入力・結果など）
+function renderPlot(words, pts, overlay = null) {
+  if (plotRenderer === "canvas") {
+    renderCanvasPlot(words, pts, overlay);
+    return;
+  }
+
+  const dims = pts[0]?.length ?? overlay?.xy[0]?.length ?? 2;
+  const { base, approx } = splitApprox(words, pts);
+  const opacity = overlay ? 0.35 : 0.85;
+  const traces = [scatterTrace(base.words, base.pts, dims, {
+    marker: { size: dims === 3 ? 4 : 10, opacity }
+  })];
+  const traceWords = [base.words];   // クリックした系列 → 語の列（矢印の系列は対象外）
+  const annotations = [];
+
+  if (approx.words.length) {
+    traces.push(scatterTrace(approx.words, approx.pts, dims, {
+      hovertext: approx.words.map(w => `${w}（近似 ${approxMethods.get(w)}）`),
+      textfont: { color: APPROX_COLOR },
+      marker: { size: dims === 3 ? 4 : 10, opacity, color: APPROX_COLOR, symbol: "circle-open" }
+    }));
+    traceWords.push(approx.words);
+  }
+
+  if (overlay) {
+    traces.push(scatterTrace(overlay.words, overlay.xy, dims, {
+      textfont: { size: 14, color: OVERLAY_COLOR },
+      marker: { size: dims === 3 ? 6 : 14, color: OVERLAY_COLOR, symbol: "diamond" }
+    }));
+    traceWords.push(overlay.words);
+    if (dims === 3) {
+      traces.push(...arrowTraces3d(overlay.xy, overlay.arrows));
+    } else {
+      for (const [from, to] of overlay.arrows) {
+        annotations.push({
+          x: overlay.xy[to][0], y: overlay.xy[to][1],
+          ax: overlay.xy[from][0], ay: overlay.xy[from][1],
+          xref: "x", yref: "y", axref: "x", ayref: "y",
+          text: "", showarrow: true,
+          arrowhead: 2, arrowsize: 1.2, arrowwidth: 1.5, arrowcolor: OVERLAY_COLOR
+        });
+      }
+    }
+  }
+
+  const layout = {
+    margin: dims === 3 ? { l: 0, r: 0, t: 0, b: 0 } : { l: 30, r: 10, t: 10, b: 30 },
+    showlegend: false,
+    annotations
+  };
+  if (dims === 3 && sceneCamera) layout.scene = { camera: sceneCamera };
+
+  window.Plotly.newPlot(els.plot, traces, layout, { responsive: true });
+
+  els.plot.removeAllListeners?.("plotly_click");
+  els.plot.removeAllListeners?.("plotly_relayout");
+  els.plot.on("plotly_click", async (data) => {
+    const pt = data.points?.[0];
+    const idx = pt?.pointNumber ?? pt?.pointIndex;
+    const src = traceWords[pt?.curveNumber];
+    if (idx == null || !src) return;
+    await showSimilar(src[idx]);
+  });
+  els.plot.on("plotly_relayout", (ev) => {
+    if (ev["scene.camera"]) sceneCamera = ev["scene.camera"];
+  });
+}
+
+function renderCanvasPlot(words, pts, overlay) {
+  if (!canvasPlot) {
+    canvasPlot = window.CanvasScatter.create(els.plot, {
+      onClick: (t, i) => showSimilar(canvasTraceWords[t][i]).catch(e => console.error(e)),
+    });
+  }
+  const { base, approx } = splitApprox(words, pts);
+  const opacity = overlay ? 0.35 : 0.85;
+  const traces = [{ words: base.words, pts: base.pts, size: 10, opacity }];
+  if (approx.words.length) {
+    traces.push({ words: approx.words, pts: approx.pts, size: 10, opacity, color: APPROX_COLOR, labelColor: APPROX_COLOR, symbol: "square" });
+  }
+  const arrows = [];
+  if (overlay) {
+    traces.push({
+      words: overlay.words, pts: overlay.xy,
+      color: OVERLAY_COLOR, labelColor: OVERLAY_COLOR, labelSize: 14, size: 14, symbol: "diamond",
+    });
+    for (const [from, to] of overlay.arrows) arrows.push([overlay.xy[from], overlay.xy[to], OVERLAY_COLOR]);
+  }
+  canvasTraceWords = traces.map(t => t.words);
+  canvasPlot.setData({ traces, arrows });
+}
+
+// ---- similarity ----
+const SIM_TOPK = 10;
+
+const SIM_SCOPE_TITLES = {
+  input: `類似語TOP${SIM_TOPK}（入力テキスト内）`,
+  vocab: `類似語TOP${SIM_TOPK}（語彙全体）`,
+};
+
+function similarInInput(word, k) {
+  return [...new Set(currentWords)]
+    .filter(w => w !== word && hasVector(w))
+    .map(w => ({ w, s: similarity(word, w) }))
+    .sort((a, b) => b.s - a.s)
+    .slice(0, k);
+}
+
+// ---- ANN index (IVF) ----
+function vocabSize() { return vecData.length / simD; }
+
+function buildAnnIndex() {
+  const n = vocabSize();
+  const nlist = Math.max(1, Math.round(Math.sqrt(n)));
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(ANN_WORKER_URL);
+    worker.onmessage = (ev) => {
+      const m = ev.data;
+      if (m.type === "progress") {
+        setStatus(`類似検索インデックス構築中…（${m.done}/${m.total}）`);
+        return;
+      }
+      worker.terminate();
+      if (m.type === "error") return reject(new Error(m.message));
+      resolve({ nlist, centroids: m.centroids, offsets: m.offsets, ids: m.ids });
+    };
+    worker.onerror = (e) => { worker.terminate(); reject(new Error(e.message || "ANN worker error")); };
+    // vecData はメインスレッドでも使うのでコピーを渡す（int8 は行ごとの 1/‖q‖ も）
+    worker.postMessage({
+      data: vecData.slice(), scale: vecInvNorm?.slice() ?? null, n, d: simD, nlist,
+      iters: ANN_ITERS, sampleSize: nlist * 64, seed: 1,
+    });
+  });
+}
+
+// 構築済みインデックスも同じバージョンで IndexedDB に保存する
+async function ensureAnnIndex() {
+  if (annIndex) return annIndex;
+  if (!annBuilding) {
+    const model = currentModel;
+    const building = annBuilding = (async () => {
+      const key = simVersion && `${model.id}/ann:${simVersion}`;
+      if (key) {
+        try {
+          const hit = await cacheGet(key);
+          if (hit) return hit;
+        } catch (e) {
+          console.warn("cache read failed", e);
+        }
+      }
+      const idx = await buildAnnIndex();
+      if (key) {
+        try {
+          await cacheDeletePrefix(`${model.id}/ann:`);
+          await cachePut(key, idx);
+        } catch (e) {
+          console.warn("cache write failed", e);
+        }
+      }
+      setStatus("類似検索インデックス構築完了");
+      return idx;
+    })()
+      // 構築中にモデルが切り替わったら結果は捨てる
+      .then(idx => { if (currentModel === model) annIndex = idx; return idx; })
+      .finally(() => { if (annBuilding === building) annBuilding = null; });
+  }
+  return annBuilding;
+}
+
+function bruteSearch(q, k, exclude) {
+  const top = [];
+  const n = vocabSize();
+  for (let j = 0; j < n; j++) {
+    if (exclude.has(j)) continue;
+    pushTopK(top, k, j, dotWithRow(q, j));
+  }
+  return top;
+}
+
+function annSearch(idx, q, k, exclude, nprobe = ANN_NPROBE) {
+  const { nlist, centroids, offsets, ids } = idx;
+  const probes = [];
+  for (let c = 0; c < nlist; c++) {
+    const off = c * simD;
+    let s = 0;
+    for (let d = 0; d < simD; d++) s += q[d] * centroids[off + d];
+    pushTopK(probes, nprobe, c, s);
+  }
+  const top = [];
+  for (const { j: c } of probes) {
+    for (let p = offsets[c]; p < offsets[c + 1]; p++) {
+      const j = ids[p];
+      if (exclude.has(j)) continue;
+      pushTopK(top, k, j, dotWithRow(q, j));
+    }
+  }
+  return top;
+}
+
+// 語彙全体から q に近い上位k件。小さい語彙は全件走査の方が速い
+async function searchVocab(q, k, exclude = new Set()) {
+  if (vocabSize() < ANN_MIN_VOCAB) return bruteSearch(q, k, exclude);
+  return annSearch(await ensureAnnIndex(), q, k, exclude);
+}
+
+async function similarInVocab(word, k) {
+  const i = wordToIndex.get(word);
+  const top = await searchVocab(wordVector(word), k, new Set(i === undefined ? [] : [i]));
+  return top.map(({ j, s }) => ({ w: indexToWord[j], s }));
+}
+
+// 全件走査の結果を正解として ANN の recall@k を測る
+async function checkAnnRecall(samples = 200, k = SIM_TOPK) {
+  await modelsReady;
+  await ensureSimModel();
+  const idx = await ensureAnnIndex();
+  const n = vocabSize();
+  const step = Math.max(1, Math.floor(n / samples));
+  let hit = 0, total = 0, tBrute = 0, tAnn = 0;
+  for (let i = 0; i < n && total < samples * k; i += step) {
+    const q = vectorOf(i);
+    const exclude = new Set([i]);
+    let t = performance.now();
+    const truth = bruteSearch(q, k, exclude);
+    tBrute += performance.now() - t;
+    t = performance.now();
+    const approx = new Set(annSearch(idx, q, k, exclude).map(r => r.j));
+    tAnn += performance.now() - t;
+    for (const r of truth) if (approx.has(r.j)) hit++;
+    total += truth.length;
+  }
+  const queries = total / k;
+  return {
+    recall: total ? hit / total : 0,
+    queries,
+    bruteMs: tBrute / queries,
+    annMs: tAnn / queries,
+  };
+}
+
+// ベクトルが無いときの代替：座標空間でのユークリッド距離が近い順
+function similarByCoords(word, k) {
+  const c = coordOf(word);
+  if (!c) return [];
+  const candidates = els.simScope.value === "vocab" ? coordMap.keys() : currentWords;
+  const top = [];
+  for (const w of candidates) {
+    if (w === word) continue;
+    const p = coordOf(w);
+    if (!p) continue;
+    const dz = c.z != null && p.z != null ? p.z - c.z : 0;
+    pushTopK(top, k, w, -Math.hypot(p.x - c.x, p.y - c.y, dz));
+  }
+  return top.map(({ j, s }) => ({ w: j, d: -s }));
+}
+
+async function showSimilar(word) {
+  selectedWord = word;
+  els.selectedWord.textContent = word;
+  els.simTitle.textContent = SIM_SCOPE_TITLES[els.simScope.value];
+  els.simList.innerHTML = "";
+
+  if (!(await simAvailable()) || !hasVector(word)) {
+    els.simTitle.textContent += "（座標距離で代替）";
+    for (const { w, d } of similarByCoords(word, SIM_TOPK)) {
+      const li = document.createElement("li");
+      li.textContent = `${w}（座標距離: ${d.toFixed(3)}）`;
+      els.simList.appendChild(li);
+    }
+    return;
+  }
+
+  const sims = els.simScope.value === "vocab"
+    ? await similarInVocab(word, SIM_TOPK)
+    : similarInInput(word, SIM_TOPK);
+
+  for (const { w, s } of sims) {
+    const li = document.createElement("li");
+    li.textContent = `${w}（類似度: ${s.toFixed(3)}）`;
+    els.simList.appendChild(li);
+  }
+}
+
+// ---- analogy (A − B + C) ----
+// 入力語も本文と同じ tokenizeText で原形に揃える（品詞・ストップワードの絞り込みも同じ。食べた → 食べる）
+// 1語に絞れなければ入力をそのまま正規化して使う
+async function normalizeQueryWord(raw) {
+  const w = raw.trim();
+  if (!w) return "";
+  const words = await tokenizeText(w);
+  if (words.length === 1) return words[0];
+  return normalizeWord(w);
+}
+
+async function runAnalogy() {
+  const raws = [els.anaA.value, els.anaB.value, els.anaC.value];
+  if (raws.some(r => !r.trim())) { alert("A・B・C をすべて入力してください。"); return; }
+
+  await runSteps([
+    ["モデル一覧", () => modelsReady],
+    ["描画ライブラリ", ensureRenderer],
+    ["形態素解析器", ensureTokenizer],
+    ["座標", ensureCoords],
+    ["類推", () => analogy(raws)],
+  ], [els.anaRun]);
+}
+
+async function analogy(raws) {
+  els.anaList.innerHTML = "";
+  if (!(await simAvailable())) return;
+
+  const inputs = await Promise.all(raws.map(normalizeQueryWord));
+  const missing = inputs.filter(w => !hasVector(w));
+  if (missing.length) {
+    setStatus(`語彙にない単語があります：${missing.join("、")}`);
+    return;
+  }
+
+  const [va, vb, vc] = inputs.map(wordVector);
+  const q = new Float32Array(simD);
+  for (let k = 0; k < simD; k++) q[k] = va[k] - vb[k] + vc[k];
+  normalizeRows(q, simD);
+
+  const exclude = new Set(inputs.map(w => wordToIndex.get(w)).filter(i => i !== undefined));
+  const top = await searchVocab(q, SIM_TOPK, exclude);
+  for (const { j, s } of top) {
+    const li = document.createElement("li");
+    li.textContent = `${indexToWord[j]}（類似度: ${s.toFixed(3)}）`;
+    els.anaList.appendChild(li);
+  }
+  if (!top.length) return;
+
+  const result = indexToWord[top[0].j];
+  const summary = `類推：${inputs[0]} − ${inputs[1]} + ${inputs[2]} ≒ ${result}`;
+  setStatus(summary);
+
+  // 入力語と同じ座標系で重ねて描く（B→A と C→結果 の矢印）
+  const overlayWords = [...inputs, result];
+  const base = currentWords.filter(w => hasCoord(w));
+  const layout = await layoutWords([...base, ...overlayWords], plotDims());
+  // 座標の無い語は layoutWords が落とす。落ちた語は基の語にも現れないので、末尾から突き合わせれば残った重ね描きの語が分かる
+  const shown = [];   // [重ね描きの語の番号, layout の番号]
+  let k = layout.words.length;
+  for (let i = overlayWords.length - 1; i >= 0 && k > 0; i--) {
+    if (layout.words[k - 1] === overlayWords[i]) shown.unshift([i, --k]);
+  }
+  const skipped = overlayWords.filter((_, i) => !shown.some(([j]) => j === i));
+  if (skipped.length) setStatus(`${summary}（座標が無いため図に出せない語：${[...new Set(skipped)].join("、")}）`);
+  if (!shown.length) return;
+
+  const pos = new Map(shown.map(([i], n) => [i, n]));
+  renderPlot(layout.words.slice(0, k), layout.xy.slice(0, k), {
+    words: shown.map(([i]) => overlayWords[i]),
+    xy: shown.map(([, j]) => layout.xy[j]),
+    arrows: [[1, 0], [2, 3]].filter(([f, t]) => pos.has(f) && pos.has(t)).map(([f, t]) => [pos.get(f), pos.get(t)]),
+  });
+}
+
+// ---- service worker ----
+let waitingWorker = null;
+
+function showUpdateBanner(msg, worker = null) {
+  waitingWorker = worker;
+  els.updateMsg.textContent = msg;
+  els.updateBanner.hidden = false;
+}
+
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+  const hadController = !!navigator.serviceWorker.controller;
+  const reg = await navigator.serviceWorker.register(SW_URL);
+
+  const onWaiting = (w) => showUpdateBanner("新しいバージョンのアプリがあります。", w);
+  if (reg.waiting && hadController) onWaiting(reg.waiting);
+  reg.addEventListener("updatefound", () => {
+    const w = reg.installing;
+    w?.addEventListener("statechange", () => {
+      // 初回インストール時（controller なし）は更新扱いにしない
+      if (w.state === "installed" && navigator.serviceWorker.controller) onWaiting(w);
+    });
+  });
+
+  navigator.serviceWorker.addEventListener("message", (ev) => {
+    if (ev.data?.type === "model-updated") showUpdateBanner("モデルが更新されました。");
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    location.reload();
+  });
+}
+
+// ---- text file input ----
+// .txt / .md / .csv / .html を読み込んでテキスト欄に入れる。文字コードは BOM → UTF-8 → Shift_JIS / EUC-JP の順に判定
+const TEXT_FILE_EXTS = /\.(txt|md|markdown|csv|html?)$/i;
+const LEGACY_ENCODINGS = [["shift_jis", "Shift_JIS"], ["euc-jp", "EUC-JP"]];
+
+let textCsv = null;   // 読み込んだ CSV（{ header, rows }）。列を選び直したら作り直す
+
+function countChar(text, re) {
+  return (text.match(re) || []).length;
+}
+
+function decodeText(buf) {
+  const bytes = new Uint8Array(buf);
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { text: new TextDecoder("utf-8").decode(bytes), encoding: "UTF-8" };
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { text: new TextDecoder("utf-16le").decode(bytes), encoding: "UTF-16LE" };
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { text: new TextDecoder("utf-16be").decode(bytes), encoding: "UTF-16BE" };
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "UTF-8" };
+  } catch {
+    // UTF-8 として不正なら、置換文字（U+FFFD）が少なく、ひらがなが多い方を採る
+  }
+  let best = null;
+  for (const [label, name] of LEGACY_ENCODINGS) {
+    const text = new TextDecoder(label).decode(bytes);
+    const score = countChar(text, /[ぁ-ゖ]/g) - countChar(text, /\uFFFD/g) * 10;
+    if (!best || score > best.score) best = { text, encoding: name, score };
+  }
+  return { text: best.text, encoding: best.encoding };
+}
+
+// ブロック要素の区切りを改行にして本文だけ取り出す
+function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  doc.querySelectorAll("script, style, noscript, template, nav, header, footer").forEach(el => el.remove());
+  doc.querySelectorAll("br").forEach(el => el.replaceWith("\n"));
+  doc.querySelectorAll("p, div, li, h1, h2, h3, h4, h5, h6, tr, blockquote, pre, section, article")
+    .forEach(el => el.append("\n"));
+  return (doc.body?.textContent || "").replace(/[ \t\u3000]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// 記法だけ落とす（コードブロックは本文ではないので除く）
+function markdownToText(md) {
+  return md
+    .replace(/^```[\s\S]*?^```/gm, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/[*_~`]+/g, "");
+}
+
+// 1行目が見出しかを列ごとの投票で推定する。数値の列で1行目だけ数値でない、
+// または1行目が本文より明らかに短い（文末記号も無い）列は見出し寄り。見出しの無い CSV の1行目を捨てないため
+function hasCsvHeader(rows) {
+  if (rows.length < 2) return false;
+  const [first, ...body] = rows;
+  const isNum = (s) => s.trim() !== "" && Number.isFinite(Number(s));
+  let votes = 0;
+  first.forEach((cell, c) => {
+    const vals = body.map(r => r[c] ?? "").filter(v => v.trim());
+    if (!vals.length) return;
+    if (vals.every(isNum)) {
+      votes += isNum(cell) ? -1 : 1;
+      return;
+    }
+    const avg = vals.reduce((s, v) => s + v.length, 0) / vals.length;
+    votes += cell.trim() && cell.length * 2 <= avg && !/[。．！？!?]/.test(cell) ? 1 : -1;
+  });
+  return votes > 0;
+}
+
+// 既定の列は、平均の文字数がいちばん長い列（本文らしい列）
+function showCsvColumns(rows) {
+  const header = hasCsvHeader(rows) ? rows[0] : [];
+  const body = header.length ? rows.slice(1) : rows;
+  const width = Math.max(...rows.map(r => r.length));
+  const avgLen = (c) => body.reduce((s, r) => s + (r[c] || "").length, 0) / (body.length || 1);
+  let best = 0;
+  els.csvColumn.innerHTML = "";
+  for (let c = 0; c < width; c++) {
+    els.csvColumn.add(new Option(header[c] || `${c + 1}列目`, String(c)));
+    if (avgLen(c) > avgLen(best)) best = c;
+  }
+  els.csvColumn.value = String(best);
+  els.csvColumnRow.hidden = false;
+  textCsv = { header, rows: body };
+}
+
+function fillFromCsv() {
+  const c = Number(els.csvColumn.value);
+  els.text.value = textCsv.rows.map(r => (r[c] || "").trim()).filter(Boolean).join("\n");
+}
+
+async function loadTextFile(file) {
+  if (!TEXT_FILE_EXTS.test(file.name)) {
+    setStatus(`${file.name} は読み込めません（.txt / .md / .csv / .html）`);
+    return;
+  }
+  const { text, encoding } = decodeText(await file.arrayBuffer());
+  textCsv = null;
+  els.csvColumnRow.hidden = true;
+  if (/\.csv$/i.test(file.name)) {
+    showCsvColumns(CSV.parse(text));
+    fillFromCsv();
+  } else if (/\.html?$/i.test(file.name)) {
+    els.text.value = htmlToText(text);
+  } else if (/\.(md|markdown)$/i.test(file.name)) {
+    els.text.value = markdownToText(text);
+  } else {
+    els.text.value = text;
+  }
+  setStatus(`${file.name} を読み込みました（${encoding}・${els.text.value.length}文字）`);
+}
+
+// ---- error panel ----
+// エラーは alert でなくパネルに出し、「再試行」は失敗した段階から続ける
+let retryFailedStep = null;
+
+function showError(msg, retry) {
+  els.errorMsg.textContent = msg;
+  retryFailedStep = retry;
+  els.errorRetry.hidden = !retry;
+  els.errorPanel.hidden = false;
+}
+
+function hideError() {
+  els.errorPanel.hidden = true;
+  retryFailedStep = null;
+}
+
+// 段階（[名前, 関数]）を順に実行する。実行中は lock の要素を無効にする
+async function runSteps(steps, lock, from = 0) {
+  hideError();
+  for (const el of lock) el.disabled = true;
+  beginLoad();
+  let i = from;
+  try {
+    for (; i < steps.length; i++) await steps[i][1]();
+  } catch (e) {
+    // 新しい射影に打ち切られたときは後の実行が状態を出すので何もしない
+    if (isAbort(e)) { if (loadSignal()?.aborted) setStatus("読込をキャンセルしました"); return; }
+    console.error(e);
+    setStatus("エラー（Console参照）");
+    const failed = i;
+    showError(`${steps[failed][0]}でエラー：${e.message}`, () => runSteps(steps, lock, failed));
+  } finally {
+    endLoad();
+    for (const el of lock) unlock(el);
+  }
+}
+
+// ---- main ----
+async function run() {
+  const text = (els.text.value || "").trim();
+  if (!text) { alert("テキストを入力してください。"); return; }
+
+  // クリック時に初回ロード（ページ表示時はモデル一覧のみ）
+  await runSteps([
+    ["モデル一覧", () => modelsReady],
+    ["描画ライブラリ", ensureRenderer],
+    ["形態素解析器", ensureTokenizer],
+    ["座標", ensureCoords],
+    ["ベクトルの確認", probeSimModel],
+    ["プロット", () => plotText(text)],
+  ], [els.run, els.modelSelect]);
+}
+
+// 文の区切りで size 文字程度ずつにまとめる（区切りの無い長い文はそのまま切る）
+function chunkText(text, size = TOKENIZE_CHUNK_CHARS) {
+  const chunks = [];
+  let cur = "";
+  for (const s of text.split(/(?<=[。．！？!?\n])/)) {
+    if (cur && cur.length + s.length > size) {
+      chunks.push(cur);
+      cur = "";
+    }
+    cur += s;
+    while (cur.length > size) {
+      chunks.push(cur.slice(0, size));
+      cur = cur.slice(size);
+    }
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+function maxPlotPoints() {
+  const n = Number(els.maxPoints.value);
+  return Number.isInteger(n) && n >= 2 ? n : PLOT_MAX_POINTS;
+}
+
+// 座標のある語を出現順に並べる（uniqueOnly でなければ出現回数ぶん繰り返す）。
+// 点の数が上限を超えたら出現回数の多い語から上限まで残す
+function selectWords(counts, limit) {
+  const words = [...counts.keys()].filter(w => hasCoord(w));
+  const per = (w) => (els.uniqueOnly.checked ? 1 : counts.get(w));
+  const points = words.reduce((s, w) => s + per(w), 0);
+  const take = new Map(words.map(w => [w, per(w)]));
+  if (points > limit) {
+    take.clear();
+    let left = limit;
+    for (const w of [...words].sort((a, b) => counts.get(b) - counts.get(a))) {
+      if (left === 0) break;
+      take.set(w, Math.min(per(w), left));
+      left -= take.get(w);
+    }
+  }
+  return {
+    words: words.filter(w => take.has(w)).flatMap(w => Array(take.get(w)).fill(w)),
+    capped: points > limit,
+    points,
+  };
+}
+
+async function drawWords(words) {
+  const layout = await layoutWords(words, plotDims());
+  if (layout.words.length < 2) return null;
+  currentWords = layout.words;
+  renderPlot(layout.words, layout.xy);
+  return layout;
+}
+
+async function plotText(text) {
+  const truncated = text.length > TEXT_MAX_CHARS;
+  if (truncated) text = text.slice(0, TEXT_MAX_CHARS);
+  const chunks = chunkText(text);
+  const counts = new Map();
+  const limit = maxPlotPoints();
+  // 全体座標なら途中経過を描いても軽い（射影は最後に1回だけ）
+  const progressive = chunks.length > 1 && els.projection.value === "global" && (plotDims() === 2 || coordsHaveZ);
+  const chunkCount = (n) => `${n}/${chunks.length}`;
+  let total = 0, lastRender = performance.now();
+  clearApproximations();
+  wordReadings = new Map();
+  normalizedForms = new Map();
+
+  for (let c = 0; c < chunks.length; c++) {
+    loadSignal()?.throwIfAborted();
+    setStatus(chunks.length > 1 ? `分かち書き中…（${c + 1}/${chunks.length}）` : "分かち書き中…");
+    for (const w of await tokenizeText(chunks[c])) {
+      counts.set(w, (counts.get(w) || 0) + 1);
+      total++;
+    }
+    if (chunks.length > 1) trackProgress("tokenize", "分かち書き", c + 1, chunks.length, chunkCount);
+    if (progressive && c + 1 < chunks.length && performance.now() - lastRender > PROGRESSIVE_RENDER_MS) {
+      await drawWords(selectWords(counts, limit).words);
+      lastRender = performance.now();
+    }
+  }
+
+  const oov = [...counts.keys()].filter(w => !hasCoord(w));
+  if (els.approxOov.checked) oov.forEach(approximateWord);
+  showOov(oov, counts);
+
+  const { words, capped, points } = selectWords(counts, limit);
+  const layout = words.length >= 2 ? await drawWords(words) : null;
+  if (!layout) {
+    setStatus("プロット可能な単語が少なすぎます（2語以上必要）。");
+    return;
+  }
+
+  const notes = [];
+  if (layout.note) notes.push(layout.note);
+  if (truncated) notes.push(`先頭の${TEXT_MAX_CHARS}文字だけ解析`);
+  if (capped) notes.push(`出現回数の多い語から${limit}点に限定（全${points}点）`);
+  if (oov.length) notes.push(`語彙に無い語${oov.length}（一覧参照）`);
+  if (plotRenderer === "plotly" && layout.words.length > PLOT_WARN_POINTS) {
+    notes.push(`点が${PLOT_WARN_POINTS}を超えるため表示が重くなります`);
+  }
+  if (simError) notes.push("類似語は座標距離で代替");
+  const note = notes.map(n => `／${n}`).join("");
+  setStatus(`完了：${layout.words.length}語をプロット（延べ${total}語・${layout.dims}D・${PROJECTION_LABELS[layout.method]}${note}）`);
+}
+
+setStatus("準備完了（ボタンで開始）");
+els.text.maxLength = TEXT_MAX_CHARS;
+els.textMaxChars.textContent = TEXT_MAX_CHARS.toLocaleString();
+initPosFilter();
+initStopwords();
+initUserDict();
+initNormalize();
+const modelsReady = initModels();
+els.run.addEventListener("click", run);
+els.simScope.addEventListener("change", () => {
+  els.simTitle.textContent = SIM_SCOPE_TITLES[els.simScope.value];
+  if (selectedWord) showSimilar(selectedWord).catch(e => console.error(e));
+});
+for (const el of [els.projection, els.viewMode, els.approxOov]) {
+  el.addEventListener("change", () => {
+    if (currentWords.length && !els.run.disabled) run();
+  });
+}
+els.modelSelect.addEventListener("change", () => {
+  const hadPlot = currentWords.length > 0;
+  if (!selectModel(els.modelSelect.value)) return;
+  setStatus(`モデルを「${currentModel.name}」に切り替えました`);
+  if (hadPlot) run();
+  else if (window.Plotly && plotRenderer === "plotly") window.Plotly.purge(els.plot);
+});
+els.modelFile.addEventListener("change", () => {
+  if (els.modelFile.files.length) importModelFiles(els.modelFile.files);
+  els.modelFile.value = "";
+});
+els.modelDrop.addEventListener("dragover", (ev) => {
+  ev.preventDefault();
+  els.modelDrop.classList.add("dragover");
+});
+els.modelDrop.addEventListener("dragleave", () => els.modelDrop.classList.remove("dragover"));
+els.modelDrop.addEventListener("drop", (ev) => {
+  ev.preventDefault();
+  els.modelDrop.classList.remove("dragover");
+  if (ev.dataTransfer.files.length) importModelFiles(ev.dataTransfer.files);
+});
+els.textFile.addEventListener("change", () => {
+  const file = els.textFile.files[0];
+  if (file) loadTextFile(file).catch(e => { console.error(e); setStatus(`読込エラー：${e.message}`); });
+  els.textFile.value = "";
+});
+els.textDrop.addEventListener("dragover", (ev) => {
+  ev.preventDefault();
+  els.textDrop.classList.add("dragover");
+});
+els.textDrop.addEventListener("dragleave", () => els.textDrop.classList.remove("dragover"));
+els.textDrop.addEventListener("drop", (ev) => {
+  ev.preventDefault();
+  els.textDrop.classList.remove("dragover");
+  const file = ev.dataTransfer.files[0];
+  if (file) loadTextFile(file).catch(e => { console.error(e); setStatus(`読込エラー：${e.message}`); });
+});
+els.csvColumn.addEventListener("change", () => { if (textCsv) fillFromCsv(); });
+els.posPreset.addEventListener("change", () => {
+  const preset = POS_PRESETS.find(p => p.id === els.posPreset.value);
+  if (!preset) return;
+  applyPosPreset(preset);
+  showPosSelection();
+  savePosSelection();
+});
+els.posTags.addEventListener("change", () => {
+  readPosSelection();
+  showPosSelection();
+  savePosSelection();
+});
+els.stopLists.addEventListener("change", () => saveStopwords(readStopwords()));
+for (const el of [els.stopUser, els.stopAllow]) {
+  el.addEventListener("input", () => saveStopwords(readStopwords()));
+}
+els.normSteps.addEventListener("change", () => {
+  saveNormalize(readNormalize());
+  if (currentWords.length && !els.run.disabled) run();
+});
+els.userDictText.addEventListener("input", () => {
+  readUserDict();
+  saveUserDict();
+});
+els.userDictFile.addEventListener("change", () => {
+  const file = els.userDictFile.files[0];
+  if (file) loadUserDictFile(file).catch(e => { console.error(e); setStatus(`読込エラー：${e.message}`); });
+  els.userDictFile.value = "";
+});
+els.anaRun.addEventListener("click", runAnalogy);
+els.loadCancel.addEventListener("click", () => loadAbort?.abort());
+els.errorRetry.addEventListener("click", () => retryFailedStep?.());
+els.errorClose.addEventListener("click", hideError);
+els.updateReload.addEventListener("click", () => {
+  // 待機中の SW があれば有効化（controllerchange でリロード）、なければそのままリロード
+  if (waitingWorker) waitingWorker.postMessage({ type: "skipWaiting" });
+  else location.reload();
+});
+registerServiceWorker().catch(e => console.warn("service worker registration failed", e));
+els.clearCache.addEventListener("click", async () => {
+  try {
+    await cacheClear();
+    setStatus("キャッシュしたモデルを削除しました（次回は再取得）");
+  } catch (e) {
+    console.error(e);
+    setStatus("キャッシュ削除に失敗（Console参照）");
+  }
+});
+els.annCheck.addEventListener("click", async () => {
+  els.annCheck.disabled = true;
+  try {
+    const r = await checkAnnRecall();
+    setStatus(`ANN recall@${SIM_TOPK}: ${r.recall.toFixed(3)}（${r.queries}件, 全件 ${r.bruteMs.toFixed(2)}ms / ANN ${r.annMs.toFixed(2)}ms）`);
+  } catch (e) {
+    console.error(e);
+    setStatus("ANN精度チェック失敗（Console参照）");
+  } finally {
+    unlock(els.annCheck);
+  }
+});
@@ -0,0 +1,271 @@
+// 簡易 Canvas 散布図（Plotly が使えない環境向け）
+// 機能: ラベル付き点、矢印、ドラッグで移動、ホイールで拡大縮小、ホバー、クリック、ダブルクリックで全体表示
+(function () {
+  const PAD = { l: 40, r: 12, t: 12, b: 28 };
+  const HIT_RADIUS = 8;
+
+  // 軸目盛りを 1, 2, 5 × 10^n の刻みで決める
+  function niceStep(range, count) {
+    const raw = range / Math.max(1, count);
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const n = raw / mag;
+    return (n < 1.5 ? 1 : n < 3.5 ? 2 : n < 7.5 ? 5 : 10) * mag;
+  }
+
+  function drawMarker(ctx, x, y, size, symbol) {
+    const r = size / 2;
+    ctx.beginPath();
+    if (symbol === "diamond") {
+      ctx.moveTo(x, y - r); ctx.lineTo(x + r, y); ctx.lineTo(x, y + r); ctx.lineTo(x - r, y);
+      ctx.closePath();
+    } else if (symbol === "square") {
+      ctx.rect(x - r, y - r, size, size);
+    } else {
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+    }
+    ctx.fill();
+  }
+
+  function drawArrow(ctx, x1, y1, x2, y2, color) {
+    const ang = Math.atan2(y2 - y1, x2 - x1);
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(x2 - 10 * Math.cos(ang - 0.4), y2 - 10 * Math.sin(ang - 0.4));
+    ctx.lineTo(x2 - 10 * Math.cos(ang + 0.4), y2 - 10 * Math.sin(ang + 0.4));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // traces: [{ words, pts: [[x, y], ...], color, size, symbol, opacity, labelColor, labelSize }]
+  // arrows: [[[x1, y1], [x2, y2], color], ...]
+  // onClick(traceIndex, pointIndex)
+  function create(container, { onClick } = {}) {
+    container.innerHTML = "";
+    container.style.position = "relative";
+
+    const canvas = document.createElement("canvas");
+    canvas.style.width = "100%";
+    canvas.style.height = "100%";
+    canvas.style.display = "block";
+    canvas.style.cursor = "grab";
+    const tip = document.createElement("div");
+    tip.className = "canvas-tip";
+    tip.hidden = true;
+    container.append(canvas, tip);
+    const ctx = canvas.getContext("2d");
+
+    let traces = [];
+    let arrows = [];
+    let view = null;   // { x0, x1, y0, y1 }（データ座標の表示範囲）
+    let hover = null;  // { t, i }
+    let drag = null;
+
+    function fitView() {
+      let x0 = Infinity, x1 = -Infinity, y0 = Infinity, y1 = -Infinity;
+      for (const t of traces) {
+        for (const [x, y] of t.pts) {
+          x0 = Math.min(x0, x); x1 = Math.max(x1, x);
+          y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+        }
+      }
+      if (!Number.isFinite(x0)) { x0 = -1; x1 = 1; y0 = -1; y1 = 1; }
+      const mx = (x1 - x0) * 0.08 || 1, my = (y1 - y0) * 0.08 || 1;
+      view = { x0: x0 - mx, x1: x1 + mx, y0: y0 - my, y1: y1 + my };
+    }
+
+    function size() {
+      return { w: canvas.clientWidth, h: canvas.clientHeight };
+    }
+
+    function toPx(x, y) {
+      const { w, h } = size();
+      return [
+        PAD.l + (x - view.x0) / (view.x1 - view.x0) * (w - PAD.l - PAD.r),
+        PAD.t + (view.y1 - y) / (view.y1 - view.y0) * (h - PAD.t - PAD.b),
+      ];
+    }
+
+    function toData(px, py) {
+      const { w, h } = size();
+      return [
+        view.x0 + (px - PAD.l) / (w - PAD.l - PAD.r) * (view.x1 - view.x0),
+        view.y1 - (py - PAD.t) / (h - PAD.t - PAD.b) * (view.y1 - view.y0),
+      ];
+    }
+
+    function drawAxes(w, h) {
+      ctx.strokeStyle = "#e6e8ef";
+      ctx.fillStyle = "#666";
+      ctx.font = "10px system-ui, sans-serif";
+      ctx.lineWidth = 1;
+
+      const sx = niceStep(view.x1 - view.x0, 6);
+      ctx.textAlign = "center";
+      ctx.textBaseline = "top";
+      for (let v = Math.ceil(view.x0 / sx) * sx; v <= view.x1; v += sx) {
+        const [px] = toPx(v, 0);
+        ctx.beginPath(); ctx.moveTo(px, PAD.t); ctx.lineTo(px, h - PAD.b); ctx.stroke();
+        ctx.fillText(+v.toPrecision(6) + "", px, h - PAD.b + 4);
+      }
+      const sy = niceStep(view.y1 - view.y0, 5);
+      ctx.textAlign = "right";
+      ctx.textBaseline = "middle";
+      for (let v = Math.ceil(view.y0 / sy) * sy; v <= view.y1; v += sy) {
+        const [, py] = toPx(0, v);
+        ctx.beginPath(); ctx.moveTo(PAD.l, py); ctx.lineTo(w - PAD.r, py); ctx.stroke();
+        ctx.fillText(+v.toPrecision(6) + "", PAD.l - 4, py);
+      }
+    }
+
+    function draw() {
+      const dpr = window.devicePixelRatio || 1;
+      const { w, h } = size();
+      if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+        canvas.width = Math.round(w * dpr);
+        canvas.height = Math.round(h * dpr);
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+      if (!view) return;
+
+      drawAxes(w, h);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(PAD.l, PAD.t, w - PAD.l - PAD.r, h - PAD.t - PAD.b);
+      ctx.clip();
+
+      for (const [a, b, color] of arrows) {
+        const [x1, y1] = toPx(a[0], a[1]);
+        const [x2, y2] = toPx(b[0], b[1]);
+        drawArrow(ctx, x1, y1, x2, y2, color || "#d62728");
+      }
+
+      traces.forEach((t, ti) => {
+        const color = t.color || "#1f77b4";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "bottom";
+        ctx.font = `${t.labelSize || 12}px system-ui, sans-serif`;
+        t.pts.forEach(([x, y], i) => {
+          const [px, py] = toPx(x, y);
+          const hot = hover && hover.t === ti && hover.i === i;
+          ctx.globalAlpha = hot ? 1 : (t.opacity ?? 0.85);
+          ctx.fillStyle = color;
+          drawMarker(ctx, px, py, (t.size || 10) * (hot ? 1.4 : 1), t.symbol);
+          ctx.globalAlpha = 1;
+          ctx.fillStyle = t.labelColor || "#333";
+          ctx.fillText(t.words[i], px, py - (t.size || 10) / 2 - 2);
+        });
+      });
+      ctx.restore();
+    }
+
+    function hitTest(px, py) {
+      let best = null, bestD = HIT_RADIUS * HIT_RADIUS;
+      traces.forEach((t, ti) => {
+        t.pts.forEach(([x, y], i) => {
+          const [qx, qy] = toPx(x, y);
+          const d = (qx - px) ** 2 + (qy - py) ** 2;
+          if (d <= bestD) { bestD = d; best = { t: ti, i }; }
+        });
+      });
+      return best;
+    }
+
+    function localPos(ev) {
+      const r = canvas.getBoundingClientRect();
+      return [ev.clientX - r.left, ev.clientY - r.top];
+    }
+
+    canvas.addEventListener("pointerdown", (ev) => {
+      const [px, py] = localPos(ev);
+      drag = { px, py, view: { ...view }, moved: false };
+      canvas.setPointerCapture(ev.pointerId);
+      canvas.style.cursor = "grabbing";
+    });
+
+    canvas.addEventListener("pointermove", (ev) => {
+      const [px, py] = localPos(ev);
+      if (drag) {
+        const dx = px - drag.px, dy = py - drag.py;
+        if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+        const { w, h } = size();
+        const kx = (drag.view.x1 - drag.view.x0) / (w - PAD.l - PAD.r);
+        const ky = (drag.view.y1 - drag.view.y0) / (h - PAD.t - PAD.b);
+        view = {
+          x0: drag.view.x0 - dx * kx, x1: drag.view.x1 - dx * kx,
+          y0: drag.view.y0 + dy * ky, y1: drag.view.y1 + dy * ky,
+        };
+        draw();
+        return;
+      }
+      const hit = hitTest(px, py);
+      if ((hit && hover && hit.t === hover.t && hit.i === hover.i) || (!hit && !hover)) return;
+      hover = hit;
+      if (hit) {
+        tip.textContent = traces[hit.t].words[hit.i];
+        tip.style.left = `${px + 12}px`;
+        tip.style.top = `${py + 12}px`;
+      }
+      tip.hidden = !hit;
+      canvas.style.cursor = hit ? "pointer" : "grab";
+      draw();
+    });
+
+    canvas.addEventListener("pointerup", (ev) => {
+      const wasDrag = drag?.moved;
+      drag = null;
+      canvas.releasePointerCapture(ev.pointerId);
+      canvas.style.cursor = hover ? "pointer" : "grab";
+      if (wasDrag || !onClick) return;
+      const hit = hitTest(...localPos(ev));
+      if (hit) onClick(hit.t, hit.i);
+    });
+
+    canvas.addEventListener("pointerleave", () => {
+      if (drag) return;
+      hover = null;
+      tip.hidden = true;
+      draw();
+    });
+
+    canvas.addEventListener("wheel", (ev) => {
+      ev.preventDefault();
+      const [cx, cy] = toData(...localPos(ev));
+      const k = Math.exp(ev.deltaY * 0.0015);
+      view = {
+        x0: cx + (view.x0 - cx) * k, x1: cx + (view.x1 - cx) * k,
+        y0: cy + (view.y0 - cy) * k, y1: cy + (view.y1 - cy) * k,
+      };
+      draw();
+    }, { passive: false });
+
+    canvas.addEventListener("dblclick", () => { fitView(); draw(); });
+
+    const ro = new ResizeObserver(() => draw());
+    ro.observe(container);
+
+    return {
+      setData(data) {
+        traces = data.traces || [];
+        arrows = data.arrows || [];
+        hover = null;
+        tip.hidden = true;
+        fitView();
+        draw();
+      },
+      destroy() {
+        ro.disconnect();
+        container.innerHTML = "";
+      },
+    };
+  }
+
+  window.CanvasScatter = { create };
+})();
@@ -0,0 +1,151 @@
+// 座標ファイルをストリームで読む Worker
+// CSV（word,x,y[,z]）は csv.js のパーサ（RFC 4180）で読む：引用符で囲んだフィールド（カンマ・改行・"" を含む語）に対応
+// 先頭が "WCRD" ならバイナリ座標（語彙順にそろえた形式。形式は parseBinaryCoords を参照）
+// 入力: { url } または { file }、出力: { words, xs, ys, zs|null, aligned }（zs は z 列があるときのみ）
+
+importScripts("./csv.js");
+
+function progress(done, total) {
+  self.postMessage({ type: "progress", done, total });
+}
+
+class FloatBuffer {
+  constructor(capacity = 4096) {
+    this.data = new Float32Array(capacity);
+    this.length = 0;
+  }
+
+  push(v) {
+    if (this.length === this.data.length) {
+      const next = new Float32Array(this.data.length * 2);
+      next.set(this.data);
+      this.data = next;
+    }
+    this.data[this.length++] = v;
+  }
+
+  result() {
+    return this.data.slice(0, this.length);
+  }
+}
+
+function coordsCollector() {
+  const words = [];
+  const xs = new FloatBuffer(), ys = new FloatBuffer(), zs = new FloatBuffer();
+  let cols = null;
+
+  const onRow = (row) => {
+    if (!cols) {
+      // 1行目はヘッダ（word,x,y[,z]）
+      const h = row.map(c => c.trim().toLowerCase());
+      const at = (name, fallback) => (h.includes(name) ? h.indexOf(name) : fallback);
+      cols = { word: at("word", 0), x: at("x", 1), y: at("y", 2), z: h.includes("z") ? h.indexOf("z") : -1 };
+      return;
+    }
+    const word = row[cols.word];
+    const x = Number(row[cols.x]), y = Number(row[cols.y]);
+    if (!word || !Number.isFinite(x) || !Number.isFinite(y)) return;
+    words.push(word);
+    xs.push(x);
+    ys.push(y);
+    if (cols.z >= 0) {
+      const z = Number(row[cols.z]);
+      zs.push(Number.isFinite(z) && row[cols.z] !== "" ? z : NaN);
+    }
+  };
+
+  const result = () => ({
+    words,
+    xs: xs.result(),
+    ys: ys.result(),
+    zs: cols && cols.z >= 0 ? zs.result() : null,
+  });
+  return { onRow, result };
+}
+
+// バイナリ座標（LE）
+//   "WCRD" | version(u8)=1 | dims(u8: 2 or 3) | 予約(u16) | n(u32) | wordBytes(u32)
+//   語表: UTF-8 の語を "\0" 区切りで n 個（wordBytes バイト）→ 4バイト境界まで詰め物
+//   float32 x[n], y[n]（dims=3 なら z[n] も）。座標の無い語は NaN
+// 語の並びは vocab.json と同じなので、行番号がそのままベクトルの行になる
+const BIN_MAGIC = [0x57, 0x43, 0x52, 0x44];   // "WCRD"
+const BIN_HEADER_BYTES = 16;
+
+function isBinaryCoords(bytes) {
+  return BIN_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+function parseBinaryCoords(buf) {
+  const v = new DataView(buf);
+  const version = v.getUint8(4), dims = v.getUint8(5);
+  if (version !== 1 || (dims !== 2 && dims !== 3)) throw new Error("未対応のバイナリ座標形式です");
+  const n = v.getUint32(8, true), wordBytes = v.getUint32(12, true);
+
+  const words = new TextDecoder("utf-8").decode(new Uint8Array(buf, BIN_HEADER_BYTES, wordBytes)).split("\0");
+  if (words.length !== n) throw new Error(`語表の語数（${words.length}）がヘッダ（${n}）と一致しません`);
+  const off = Math.ceil((BIN_HEADER_BYTES + wordBytes) / 4) * 4;
+  if (buf.byteLength !== off + n * dims * 4) throw new Error("バイナリ座標のサイズが不正です");
+
+  const col = (c) => new Float32Array(buf, off + c * n * 4, n).slice();
+  return { words, xs: col(0), ys: col(1), zs: dims === 3 ? col(2) : null, aligned: true };
+}
+
+async function openStream({ url, file }) {
+  if (file) return { stream: file.stream(), total: file.size };
+  const res = await fetch(url, { cache: "force-cache" });
+  if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status });
+  return { stream: res.body, total: Number(res.headers.get("content-length")) || 0 };
+}
+
+// 先頭チャンクで形式を判定する。バイナリはチャンクを溜めて最後にまとめて解析
+async function parseCoords(src) {
+  const { stream, total } = await openStream(src);
+  const reader = stream.getReader();
+  let binary = null, chunks = [];
+  let parser = null, collector = null;
+  const decoder = new TextDecoder("utf-8");
+  let loaded = 0, lastReport = 0;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    if (binary === null) {
+      binary = value.length >= 4 && isBinaryCoords(value);
+      if (!binary) {
+        collector = coordsCollector();
+        parser = new CSV.Parser(collector.onRow);
+      }
+    }
+    loaded += value.length;
+    if (binary) chunks.push(value);
+    else parser.push(decoder.decode(value, { stream: true }));
+    if (loaded - lastReport > 64 * 1024) {
+      lastReport = loaded;
+      progress(loaded, total);
+    }
+  }
+  progress(loaded, total || loaded);
+
+  if (binary) {
+    const bytes = new Uint8Array(loaded);
+    let p = 0;
+    for (const c of chunks) { bytes.set(c, p); p += c.length; }
+    chunks = null;
+    return parseBinaryCoords(bytes.buffer);
+  }
+  if (!parser) throw new Error("座標ファイルが空です");
+  parser.push(decoder.decode());
+  parser.finish();
+  return { ...collector.result(), aligned: false };
+}
+
+self.onmessage = async (ev) => {
+  try {
+    const r = await parseCoords(ev.data);
+    const transfer = [r.xs.buffer, r.ys.buffer];
+    if (r.zs) transfer.push(r.zs.buffer);
+    self.postMessage({ type: "done", ...r }, transfer);
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message, status: e.status });
+  }
+};
@@ -0,0 +1,71 @@
+// CSV パーサ（RFC 4180：引用符で囲んだフィールドのカンマ・改行・"" に対応）
+// ページ・Worker（importScripts）・Node（tools/）で共用する。CSV.Parser はチャンクを流し込むストリーム用、
+// CSV.parse は文字列全体を行の配列にする
+(function () {
+  // チャンク単位で文字を流し込み、行がそろうたびに onRow を呼ぶ
+  class Parser {
+    constructor(onRow) {
+      this.onRow = onRow;
+      this.row = [];
+      this.field = "";
+      this.state = 0;   // 0: フィールド先頭, 1: 引用符なし, 2: 引用符内, 3: 引用符内で " を読んだ直後
+      this.pendingCR = false;
+    }
+
+    endField() {
+      this.row.push(this.field);
+      this.field = "";
+      this.state = 0;
+    }
+
+    endRow() {
+      this.endField();
+      this.onRow(this.row);
+      this.row = [];
+    }
+
+    push(chunk) {
+      for (let i = 0; i < chunk.length; i++) {
+        const ch = chunk[i];
+        if (this.pendingCR) {
+          this.pendingCR = false;
+          if (ch === "\n") continue;
+        }
+        switch (this.state) {
+          case 2:
+            if (ch === '"') this.state = 3;
+            else this.field += ch;
+            break;
+          case 3:
+            if (ch === '"') { this.field += '"'; this.state = 2; break; }
+            // 閉じ引用符の後は区切りとして扱う（それ以外の文字はそのまま続ける）
+            this.state = 1;
+            i--;
+            break;
+          default:
+            if (ch === '"' && this.state === 0) this.state = 2;
+            else if (ch === ",") this.endField();
+            else if (ch === "\n") this.endRow();
+            else if (ch === "\r") { this.pendingCR = true; this.endRow(); }
+            else { this.field += ch; this.state = 1; }
+        }
+      }
+    }
+
+    finish() {
+      if (this.state !== 0 || this.field || this.row.length) this.endRow();
+    }
+  }
+
+  function parse(text) {
+    const rows = [];
+    const parser = new Parser(row => rows.push(row));
+    parser.push(text);
+    parser.finish();
+    return rows;
+  }
+
+  const CSV = { Parser, parse };
+  if (typeof module === "object" && module.exports) module.exports = CSV;
+  else self.CSV = CSV;
+})();
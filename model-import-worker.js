@@ -0,0 +1,190 @@
+// 学習済みモデル（word2vec バイナリ / fastText .vec / GloVe テキスト）の読込用 Worker
+// 入力: { file: File, maxWords }
+// 出力: { vocab: string[], vec: Float32Array（行ごとに正規化済み）, dim, format, truncated }
+
+function progress(done, total) {
+  self.postMessage({ type: "progress", done, total });
+}
+
+// 行数が分からない形式もあるので、容量を倍々で広げる
+class VectorBuffer {
+  constructor(dim, capacity = 1024) {
+    this.dim = dim;
+    this.data = new Float32Array(dim * capacity);
+    this.length = 0;
+  }
+
+  push(values, offset = 0) {
+    if ((this.length + 1) * this.dim > this.data.length) {
+      const next = new Float32Array(this.data.length * 2);
+      next.set(this.data);
+      this.data = next;
+    }
+    const base = this.length * this.dim;
+    for (let k = 0; k < this.dim; k++) this.data[base + k] = values[offset + k];
+    this.length++;
+  }
+
+  result() {
+    return this.data.slice(0, this.length * this.dim);
+  }
+}
+
+function normalizeRows(data, d) {
+  for (let off = 0; off < data.length; off += d) {
+    let n = 0;
+    for (let k = 0; k < d; k++) n += data[off + k] * data[off + k];
+    if (n === 0) continue;
+    n = 1 / Math.sqrt(n);
+    for (let k = 0; k < d; k++) data[off + k] *= n;
+  }
+}
+
+const HEADER_RE = /^\s*(\d+)\s+(\d+)\s*$/;
+
+// 先頭行が "語数 次元数" で、その後に非テキストのバイトが多ければ word2vec バイナリ
+function looksBinary(bytes, headerEnd) {
+  const sample = bytes.subarray(headerEnd, headerEnd + 1024);
+  let ctrl = 0;
+  for (const b of sample) if (b < 9 || (b > 13 && b < 32)) ctrl++;
+  return ctrl > sample.length * 0.05;
+}
+
+// ストリームで読み、maxWords 語を読んだらそれ以降は読まない（大きなモデルでもファイル全体をメモリに載せない）
+async function parseWord2vecBinary(file, maxWords) {
+  const reader = file.stream().getReader();
+  const dec = new TextDecoder("utf-8");
+  let bytes = new Uint8Array(0), p = 0;
+
+  // 読み位置 p から n バイト以上そろうまで読み足す（読み終えた分は捨てる）。そろわなければ false
+  const need = async (n) => {
+    if (bytes.length - p >= n) return true;
+    const chunks = [bytes.subarray(p)];
+    let len = chunks[0].length;
+    while (len < n) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      len += value.length;
+    }
+    bytes = new Uint8Array(len);
+    let o = 0;
+    for (const c of chunks) { bytes.set(c, o); o += c.length; }
+    p = 0;
+    return len >= n;
+  };
+  // 読み位置から区切りのバイトの手前までを返し、区切りの後へ進む
+  const readUntil = async (sep) => {
+    let i;
+    while ((i = bytes.indexOf(sep, p)) < 0) {
+      if (!(await need(bytes.length - p + 1))) return null;
+    }
+    const s = bytes.subarray(p, i);
+    p = i + 1;
+    return s;
+  };
+
+  const header = await readUntil(10);
+  const m = header && HEADER_RE.exec(dec.decode(header));
+  if (!m) throw new Error("word2vec バイナリのヘッダが不正です");
+  const total = Number(m[1]), dim = Number(m[2]);
+  const n = Math.min(total, maxWords);
+
+  const vocab = [];
+  const vec = new Float32Array(n * dim);
+  for (let i = 0; i < n; i++) {
+    const truncatedAt = () => new Error(`${i + 1}語目でファイルが途切れています`);
+    for (;;) {
+      if (!(await need(1))) throw truncatedAt();
+      if (bytes[p] !== 10 && bytes[p] !== 32) break;
+      p++;
+    }
+    const word = await readUntil(32);
+    if (!word) throw truncatedAt();
+    vocab.push(dec.decode(word));
+    if (!(await need(dim * 4))) throw truncatedAt();
+    const view = new DataView(bytes.buffer, bytes.byteOffset + p, dim * 4);
+    for (let k = 0; k < dim; k++) vec[i * dim + k] = view.getFloat32(k * 4, true);
+    p += dim * 4;
+    if (i % 5000 === 0) progress(i, n);
+  }
+  reader.cancel();
+  return { vocab, vec, dim, format: "word2vec (binary)", truncated: total > n };
+}
+
+// fastText .vec（先頭にヘッダ行あり）と GloVe（ヘッダなし）は同じ処理で読む
+async function parseTextVectors(file, maxWords) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream("utf-8")).getReader();
+  const vocab = [];
+  let buf = null, dim = 0, format = "GloVe (text)", truncated = false;
+  let rest = "", lineNo = 0, bytesRead = 0;
+
+  const handleLine = (line) => {
+    lineNo++;
+    if (!line.trim()) return true;
+    if (lineNo === 1 && HEADER_RE.test(line)) {
+      dim = Number(HEADER_RE.exec(line)[2]);
+      format = "fastText (.vec)";
+      return true;
+    }
+    const parts = line.trimEnd().split(" ");
+    if (!dim) dim = parts.length - 1;
+    if (!buf) buf = new VectorBuffer(dim);
+    // 語に空白を含むモデルもあるので、末尾 dim 個を数値とみなす
+    if (parts.length < dim + 1) throw new Error(`${lineNo}行目の要素数が次元数(${dim})と合いません`);
+    const values = parts.slice(parts.length - dim).map(Number);
+    if (values.some(v => !Number.isFinite(v))) throw new Error(`${lineNo}行目に数値でない値があります`);
+    if (vocab.length >= maxWords) { truncated = true; return false; }
+    vocab.push(parts.slice(0, parts.length - dim).join(" "));
+    buf.push(values);
+    return true;
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    bytesRead += value.length;
+    const lines = (rest + value).split("\n");
+    rest = lines.pop();
+    for (const line of lines) {
+      if (!handleLine(line)) { reader.cancel(); return { vocab, vec: buf.result(), dim, format, truncated }; }
+    }
+    progress(Math.min(bytesRead, file.size), file.size);
+  }
+  if (rest) handleLine(rest);
+  if (!buf || !vocab.length) throw new Error("ベクトルが1件も読めませんでした");
+  return { vocab, vec: buf.result(), dim, format, truncated };
+}
+
+async function parseModelFile(file, maxWords) {
+  const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+  const nl = head.indexOf(10);
+  const firstLine = new TextDecoder().decode(head.subarray(0, nl < 0 ? head.length : nl));
+  if (HEADER_RE.test(firstLine) && (/\.bin$/i.test(file.name) || looksBinary(head, nl + 1))) {
+    return parseWord2vecBinary(file, maxWords);
+  }
+  return parseTextVectors(file, maxWords);
+}
+
+self.onmessage = async (ev) => {
+  const { file, maxWords } = ev.data;
+  try {
+    const r = await parseModelFile(file, maxWords);
+
+    // 重複語は先に出たものを残す（word2vec 形式は頻度順）
+    const seen = new Set();
+    const keep = [];
+    r.vocab.forEach((w, i) => { if (!seen.has(w)) { seen.add(w); keep.push(i); } });
+    if (keep.length !== r.vocab.length) {
+      const vec = new Float32Array(keep.length * r.dim);
+      keep.forEach((src, i) => vec.set(r.vec.subarray(src * r.dim, (src + 1) * r.dim), i * r.dim));
+      r.vocab = keep.map(i => r.vocab[i]);
+      r.vec = vec;
+    }
+
+    normalizeRows(r.vec, r.dim);
+    self.postMessage({ type: "done", ...r }, [r.vec.buffer]);
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message });
+  }
+};
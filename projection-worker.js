@@ -0,0 +1,286 @@
+// 低次元射影（PCA / t-SNE / UMAP）用 Worker
+// 入力: n×d のベクトル（Float32Array）、出力: n×dims の座標（Float32Array）
+
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(rand) {
+  const u = rand() || 1e-12, v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function progress(done, total) {
+  self.postMessage({ type: "progress", done, total });
+}
+
+function sqDistances(data, n, d) {
+  const dist = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let s = 0;
+      for (let k = 0; k < d; k++) {
+        const t = data[i * d + k] - data[j * d + k];
+        s += t * t;
+      }
+      dist[i * n + j] = dist[j * n + i] = s;
+    }
+  }
+  return dist;
+}
+
+// ---- PCA（共分散行列のべき乗法＋デフレーション） ----
+// opts.maxSample: 語彙全体など大きいときは間引いた行で平均・共分散を求める
+function pca(data, n, d, dims, opts = {}) {
+  const step = opts.maxSample && n > opts.maxSample ? Math.ceil(n / opts.maxSample) : 1;
+  const m = Math.ceil(n / step);
+
+  const mean = new Float64Array(d);
+  for (let i = 0; i < n; i += step) for (let k = 0; k < d; k++) mean[k] += data[i * d + k] / m;
+
+  const cov = new Float64Array(d * d);
+  for (let i = 0; i < n; i += step) {
+    for (let a = 0; a < d; a++) {
+      const xa = data[i * d + a] - mean[a];
+      for (let b = a; b < d; b++) cov[a * d + b] += xa * (data[i * d + b] - mean[b]);
+    }
+  }
+  for (let a = 0; a < d; a++) for (let b = a; b < d; b++) cov[b * d + a] = cov[a * d + b];
+
+  const rand = rng(1);
+  const comps = [];
+  for (let c = 0; c < dims; c++) {
+    let v = new Float64Array(d).map(() => rand() - 0.5);
+    let lambda = 0;
+    for (let it = 0; it < 200; it++) {
+      const w = new Float64Array(d);
+      for (let a = 0; a < d; a++) {
+        let s = 0;
+        for (let b = 0; b < d; b++) s += cov[a * d + b] * v[b];
+        w[a] = s;
+      }
+      const norm = Math.sqrt(w.reduce((s, x) => s + x * x, 0));
+      if (norm === 0) break;
+      for (let a = 0; a < d; a++) w[a] /= norm;
+      const delta = w.reduce((s, x, a) => s + Math.abs(x - v[a]), 0);
+      v = w;
+      lambda = norm;
+      if (delta < 1e-9) break;
+    }
+    comps.push(v);
+    for (let a = 0; a < d; a++) for (let b = 0; b < d; b++) cov[a * d + b] -= lambda * v[a] * v[b];
+  }
+
+  const out = new Float32Array(n * dims);
+  for (let i = 0; i < n; i++) {
+    for (let c = 0; c < dims; c++) {
+      let s = 0;
+      for (let k = 0; k < d; k++) s += (data[i * d + k] - mean[k]) * comps[c][k];
+      out[i * dims + c] = s;
+    }
+  }
+  return out;
+}
+
+// ---- t-SNE（厳密計算。数百〜千語程度を想定） ----
+function tsne(data, n, d, dims, opts = {}) {
+  const perplexity = Math.min(opts.perplexity ?? 30, Math.max(2, (n - 1) / 3));
+  const iters = opts.iters ?? 500;
+  const rand = rng(opts.seed ?? 1);
+  const dist = sqDistances(data, n, d);
+
+  // 各点の条件付き確率（二分探索で perplexity に合わせる）
+  const P = new Float64Array(n * n);
+  const target = Math.log(perplexity);
+  for (let i = 0; i < n; i++) {
+    let beta = 1, lo = -Infinity, hi = Infinity;
+    for (let t = 0; t < 50; t++) {
+      let sum = 0, h = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const p = Math.exp(-dist[i * n + j] * beta);
+        P[i * n + j] = p;
+        sum += p;
+      }
+      sum = sum || 1e-12;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        P[i * n + j] /= sum;
+        h += dist[i * n + j] * beta * P[i * n + j];
+      }
+      h += Math.log(sum);
+      if (Math.abs(h - target) < 1e-5) break;
+      if (h > target) { lo = beta; beta = hi === Infinity ? beta * 2 : (beta + hi) / 2; }
+      else { hi = beta; beta = lo === -Infinity ? beta / 2 : (beta + lo) / 2; }
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const p = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-12);
+      P[i * n + j] = P[j * n + i] = p;
+    }
+  }
+
+  const Y = new Float64Array(n * dims).map(() => gaussian(rand) * 1e-4);
+  const gains = new Float64Array(n * dims).fill(1);
+  const upd = new Float64Array(n * dims);
+  const grad = new Float64Array(n * dims);
+  const Q = new Float64Array(n * n);
+
+  for (let it = 0; it < iters; it++) {
+    const exag = it < 100 ? 12 : 1;
+    const momentum = it < 250 ? 0.5 : 0.8;
+
+    let qsum = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        let s = 0;
+        for (let c = 0; c < dims; c++) {
+          const t = Y[i * dims + c] - Y[j * dims + c];
+          s += t * t;
+        }
+        const q = 1 / (1 + s);
+        Q[i * n + j] = Q[j * n + i] = q;
+        qsum += 2 * q;
+      }
+    }
+
+    grad.fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue;
+        const q = Q[i * n + j];
+        const m = 4 * (exag * P[i * n + j] - q / qsum) * q;
+        for (let c = 0; c < dims; c++) grad[i * dims + c] += m * (Y[i * dims + c] - Y[j * dims + c]);
+      }
+    }
+
+    for (let k = 0; k < n * dims; k++) {
+      gains[k] = Math.sign(grad[k]) === Math.sign(upd[k]) ? gains[k] * 0.8 : gains[k] + 0.2;
+      if (gains[k] < 0.01) gains[k] = 0.01;
+      upd[k] = momentum * upd[k] - 100 * gains[k] * grad[k];
+      Y[k] += upd[k];
+    }
+
+    // 重心を原点に
+    for (let c = 0; c < dims; c++) {
+      let m = 0;
+      for (let i = 0; i < n; i++) m += Y[i * dims + c];
+      m /= n;
+      for (let i = 0; i < n; i++) Y[i * dims + c] -= m;
+    }
+    if (it % 25 === 0) progress(it, iters);
+  }
+  return Float32Array.from(Y);
+}
+
+// ---- UMAP（k近傍グラフ＋負例サンプリングのSGD。min_dist=0.1 相当） ----
+function umap(data, n, d, dims, opts = {}) {
+  const k = Math.min(opts.neighbors ?? 15, n - 1);
+  const epochs = opts.epochs ?? 300;
+  const rand = rng(opts.seed ?? 1);
+  const A = 1.577, B = 0.895;
+  const dist = sqDistances(data, n, d);
+
+  // k近傍と局所スケール（rho, sigma）
+  const W = new Float64Array(n * n);
+  const target = Math.log2(k);
+  for (let i = 0; i < n; i++) {
+    const nbrs = [];
+    for (let j = 0; j < n; j++) if (j !== i) nbrs.push([j, Math.sqrt(dist[i * n + j])]);
+    nbrs.sort((a, b) => a[1] - b[1]);
+    const knn = nbrs.slice(0, k);
+    const rho = knn[0][1];
+    let sigma = 1, lo = 0, hi = Infinity;
+    for (let t = 0; t < 64; t++) {
+      let s = 0;
+      for (const [, dj] of knn) s += Math.exp(-Math.max(0, dj - rho) / sigma);
+      if (Math.abs(s - target) < 1e-5) break;
+      if (s > target) { hi = sigma; sigma = (lo + hi) / 2; }
+      else { lo = sigma; sigma = hi === Infinity ? sigma * 2 : (lo + hi) / 2; }
+    }
+    for (const [j, dj] of knn) W[i * n + j] = Math.exp(-Math.max(0, dj - rho) / sigma);
+  }
+
+  // ファジー和集合で対称化し、辺リストにする
+  const edges = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const a = W[i * n + j], b = W[j * n + i];
+      const w = a + b - a * b;
+      if (w > 0) edges.push([i, j, w]);
+    }
+  }
+  const wMax = edges.reduce((m, e) => Math.max(m, e[2]), 0) || 1;
+  const epochsPerSample = edges.map(e => wMax / e[2]);
+  const nextSample = epochsPerSample.slice();
+
+  // 初期配置は PCA を [-10, 10] に収めたもの
+  const Y = Float64Array.from(pca(data, n, d, dims));
+  let maxAbs = 0;
+  for (const v of Y) maxAbs = Math.max(maxAbs, Math.abs(v));
+  for (let i = 0; i < Y.length; i++) Y[i] = (Y[i] / (maxAbs || 1)) * 10 + gaussian(rand) * 1e-4;
+
+  const clip = (g) => Math.max(-4, Math.min(4, g));
+  const sqDist = (i, j) => {
+    let s = 0;
+    for (let c = 0; c < dims; c++) {
+      const t = Y[i * dims + c] - Y[j * dims + c];
+      s += t * t;
+    }
+    return s;
+  };
+
+  for (let ep = 1; ep <= epochs; ep++) {
+    const alpha = 1 - (ep - 1) / epochs;
+    for (let e = 0; e < edges.length; e++) {
+      if (nextSample[e] > ep) continue;
+      const [i, j] = edges[e];
+
+      const d2 = sqDist(i, j);
+      if (d2 > 0) {
+        const coef = (-2 * A * B * Math.pow(d2, B - 1)) / (1 + A * Math.pow(d2, B));
+        for (let c = 0; c < dims; c++) {
+          const g = clip(coef * (Y[i * dims + c] - Y[j * dims + c])) * alpha;
+          Y[i * dims + c] += g;
+          Y[j * dims + c] -= g;
+        }
+      }
+
+      for (let s = 0; s < 5; s++) {
+        const m = Math.floor(rand() * n);
+        if (m === i) continue;
+        const dn = sqDist(i, m);
+        const coef = dn > 0 ? (2 * B) / ((0.001 + dn) * (1 + A * Math.pow(dn, B))) : 0;
+        for (let c = 0; c < dims; c++) {
+          const g = coef > 0 ? clip(coef * (Y[i * dims + c] - Y[m * dims + c])) : 4;
+          Y[i * dims + c] += g * alpha;
+        }
+      }
+      nextSample[e] += epochsPerSample[e];
+    }
+    if (ep % 20 === 0) progress(ep, epochs);
+  }
+  return Float32Array.from(Y);
+}
+
+const METHODS = { pca, tsne, umap };
+
+self.onmessage = (ev) => {
+  const { method, data, n, d, dims, opts } = ev.data;
+  try {
+    const fn = METHODS[method];
+    if (!fn) throw new Error(`unknown projection: ${method}`);
+    const coords = fn(data, n, d, dims, opts);
+    self.postMessage({ type: "done", coords }, [coords.buffer]);
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message });
+  }
+};
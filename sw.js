@@ -0,0 +1,143 @@
+// Service Worker：アプリ・辞書・モデルを事前キャッシュしてオフラインでも動かす
+// アプリを更新したら CACHE_VERSION を上げる（ページ側に更新バナーが出る）
+const CACHE_VERSION = "v4";
+const CACHE_NAME = `wordEmbeddingForWeb-${CACHE_VERSION}`;
+
+const APP_FILES = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./app.js",
+  "./csv.js",
+  "./ann-worker.js",
+  "./projection-worker.js",
+  "./coords-worker.js",
+  "./tokenizer-worker.js",
+  "./canvas-plot.js",
+  "./model-import-worker.js",
+  "./manifest.webmanifest",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./kuromoji/kuromoji.js",
+];
+
+const DICT_FILES = [
+  "base.dat.gz", "cc.dat.gz", "check.dat.gz", "tid.dat.gz", "tid_map.dat.gz",
+  "unk.dat.gz", "unk_char.dat.gz", "unk_compat.dat.gz", "unk_invoke.dat.gz",
+  "unk_map.dat.gz", "unk_pos.dat.gz",
+].map(f => `./kuromoji/dict/${f}`);
+
+// model/manifest.json に載っている各モデルのファイルも事前キャッシュする
+const MODEL_MANIFEST = "./model/manifest.json";
+
+// マニフェストに載っているファイルは無くても install を失敗させない（vec50.bin はリポジトリに含まれない）
+async function modelFiles() {
+  try {
+    const res = await fetch(MODEL_MANIFEST, { cache: "no-cache" });
+    const base = new URL(MODEL_MANIFEST, self.location.href);
+    const { models = [] } = await res.json();
+    return models.flatMap(m => [m.vocab, m.vectors, m.coords].filter(Boolean).map(p => new URL(p, base).href));
+  } catch {
+    return [];
+  }
+}
+
+// Plotly は CDN から取るので、取れたときに実行時キャッシュする
+const RUNTIME_HOSTS = ["cdn.plot.ly"];
+
+self.addEventListener("install", (ev) => {
+  ev.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll([...APP_FILES, ...DICT_FILES, MODEL_MANIFEST]);
+    await Promise.all((await modelFiles()).map(f => cache.add(f).catch(() => {})));
+  })());
+});
+
+self.addEventListener("activate", (ev) => {
+  ev.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(k => k.startsWith("wordEmbeddingForWeb-") && k !== CACHE_NAME)
+      .map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (ev) => {
+  if (ev.data?.type === "skipWaiting") self.skipWaiting();
+});
+
+async function notifyClients(msg) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  for (const c of clients) c.postMessage(msg);
+}
+
+function sameVersion(a, b) {
+  const h = (r, k) => r.headers.get(k);
+  return h(a, "etag") === h(b, "etag")
+    && h(a, "last-modified") === h(b, "last-modified")
+    && h(a, "content-length") === h(b, "content-length");
+}
+
+// モデルファイルは裏で再検証し、差し替わっていたらキャッシュを更新してページに知らせる
+async function revalidateModel(request, cached) {
+  try {
+    const fresh = await fetch(request, { cache: "no-cache" });
+    if (!fresh.ok || sameVersion(fresh, cached)) return;
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, fresh);
+    await notifyClients({ type: "model-updated", url: request.url });
+  } catch {
+    // オフライン時は何もしない
+  }
+}
+
+async function cacheFirst(ev, request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+  if (cached) {
+    if (new URL(request.url).pathname.includes("/model/")) ev.waitUntil(revalidateModel(request, cached));
+    return cached;
+  }
+  const res = await fetch(request);
+  if (res.ok || res.type === "opaque") cache.put(request, res.clone());
+  return res;
+}
+
+// HEAD（ページ側のバージョン確認）は、実際に返す中身と食い違わないようキャッシュのヘッダで答える
+async function headFromCache(request) {
+  const cached = await caches.match(request, { ignoreMethod: true });
+  if (!cached) return fetch(request);
+  return new Response(null, { status: cached.status, statusText: cached.statusText, headers: cached.headers });
+}
+
+// モデルファイルの HEAD はネットワーク優先（オフライン時だけキャッシュのヘッダ）。
+// 配信側で差し替わっていたら古いキャッシュを捨て、続く GET で新しいファイルを取らせてページに知らせる
+async function headModel(request) {
+  let fresh;
+  try {
+    fresh = await fetch(request);
+  } catch {
+    return headFromCache(request);
+  }
+  const cached = await caches.match(request, { ignoreMethod: true });
+  if (fresh.ok && cached && !sameVersion(fresh, cached)) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.delete(request.url);
+    await notifyClients({ type: "model-updated", url: request.url });
+  }
+  return fresh;
+}
+
+self.addEventListener("fetch", (ev) => {
+  const { request } = ev;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.method === "HEAD" && sameOrigin) {
+    ev.respondWith(url.pathname.includes("/model/") ? headModel(request) : headFromCache(request));
+    return;
+  }
+  if (request.method !== "GET") return;
+  if (sameOrigin || RUNTIME_HOSTS.includes(url.host)) ev.respondWith(cacheFirst(ev, request));
+});
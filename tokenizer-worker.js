@@ -0,0 +1,144 @@
+// kuromoji（形態素解析）用 Worker：辞書の構築も解析もページの外で行う
+// 入力: { id, type: "init", scriptUrl, dicPath } / { id, type: "tokenize", text, options }
+//       / { id, type: "userdict", entries: [{ surface, pos, detail, reading }] }
+// 出力: { id, type: "done", tokens? } または { id, type: "error", message }
+//       辞書の読込中は { type: "progress", file, done, total }（total はサイズ不明なら 0）
+// options.fields を渡すとトークンをその項目だけに絞って返す（長文で受け渡しを軽くする）
+
+let tokenizer = null;
+let userDict = null;   // { byFirst: Map（先頭の文字 → 語）, tokens: Map（表層形 → トークン） }
+
+// kuromoji は辞書を XHR で読み、進捗を外に出さないので、XHR に進捗の通知を足す
+function reportDictionaryProgress() {
+  const open = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    const file = String(url).split("/").pop();
+    const send = (done, total) => self.postMessage({ type: "progress", file, done, total });
+    this.addEventListener("progress", (e) => send(e.loaded, e.lengthComputable ? e.total : 0));
+    this.addEventListener("load", (e) => send(e.loaded, e.loaded));
+    return open.call(this, method, url, ...rest);
+  };
+}
+
+function build(scriptUrl, dicPath) {
+  reportDictionaryProgress();
+  importScripts(scriptUrl);
+  return new Promise((resolve, reject) => {
+    self.kuromoji.builder({ dicPath }).build((err, tk) => {
+      if (err) reject(err);
+      else resolve(tk);
+    });
+  });
+}
+
+// kuromoji は実行時に辞書を足せないので、解析結果のうちユーザー辞書の語とちょうど重なる並び
+// （語の始まりと終わりが kuromoji の区切りと一致するもの）を1トークンに置き換える。
+// 未知語（カタカナ列など）の中は区切ってよい（ディープラーニングモデル → ディープラーニング＋モデル）。
+// 辞書にある語の途中（機械学習 が1語のときの 機械）では置き換えない
+function setUserDict(entries) {
+  if (!entries.length) {
+    userDict = null;
+    return;
+  }
+  const tokens = new Map();
+  for (const e of entries) {
+    tokens.set(e.surface, {
+      word_type: "USER",
+      surface_form: e.surface,
+      pos: e.pos,
+      pos_detail_1: e.detail,
+      pos_detail_2: "*",
+      pos_detail_3: "*",
+      conjugated_type: "*",
+      conjugated_form: "*",
+      basic_form: e.surface,
+      reading: e.reading,
+      pronunciation: e.reading,
+    });
+  }
+  // 先頭の文字 → その文字で始まる語（長いもの優先）
+  const byFirst = new Map();
+  for (const s of [...tokens.keys()].sort((a, b) => b.length - a.length)) {
+    if (!byFirst.has(s[0])) byFirst.set(s[0], []);
+    byFirst.get(s[0]).push(s);
+  }
+  userDict = { byFirst, tokens };
+}
+
+// word_position は1始まり
+const startOf = (t) => t.word_position - 1;
+const endOf = (t) => t.word_position - 1 + t.surface_form.length;
+
+// text の [from, to) だけを解析し直し、位置を text 全体の位置に直す
+function retokenize(text, from, to) {
+  return tokenizer.tokenize(text.slice(from, to)).map(t => ({ ...t, word_position: t.word_position + from }));
+}
+
+// tokens[i] の中で始まるユーザー辞書の語を探す。未知語でなければ先頭からの語だけ
+// 戻り値 { pos, surface, j, split }：語の終わりは tokens[j] の先頭（split なら未知語 tokens[j] の途中）
+function findUserWord(text, tokens, i) {
+  const t = tokens[i];
+  const last = t.word_type === "UNKNOWN" ? endOf(t) - 1 : startOf(t);
+  for (let pos = startOf(t); pos <= last; pos++) {
+    for (const surface of userDict.byFirst.get(text[pos]) || []) {
+      if (!text.startsWith(surface, pos)) continue;
+      const end = pos + surface.length;
+      let j = i;
+      while (j < tokens.length && endOf(tokens[j]) <= end) j++;
+      if (j === tokens.length || startOf(tokens[j]) === end) return { pos, surface, j, split: false };
+      if (tokens[j].word_type === "UNKNOWN") return { pos, surface, j, split: true };
+    }
+  }
+  return null;
+}
+
+function tokenize(text) {
+  const tokens = tokenizer.tokenize(text);
+  if (!userDict) return tokens;
+  const out = [];
+  for (let i = 0; i < tokens.length;) {
+    const hit = findUserWord(text, tokens, i);
+    if (!hit) {
+      out.push(tokens[i++]);
+      continue;
+    }
+    const { pos, surface, j, split } = hit;
+    // 未知語の途中から始まるなら、その前の部分を解析し直す
+    if (pos > startOf(tokens[i])) out.push(...retokenize(text, startOf(tokens[i]), pos));
+    out.push({ ...userDict.tokens.get(surface), word_position: pos + 1 });
+    // 未知語の途中で終わるなら、残りを解析し直したトークンに差し替えて続きを調べる
+    if (split) tokens.splice(j, 1, ...retokenize(text, pos + surface.length, endOf(tokens[j])));
+    i = j;
+  }
+  return out;
+}
+
+function pick(tokens, fields) {
+  if (!fields) return tokens;
+  return tokens.map(t => {
+    const o = {};
+    for (const f of fields) o[f] = t[f];
+    return o;
+  });
+}
+
+self.onmessage = async (ev) => {
+  const { id, type } = ev.data;
+  try {
+    if (type === "init") {
+      if (!tokenizer) tokenizer = await build(ev.data.scriptUrl, ev.data.dicPath);
+      self.postMessage({ id, type: "done" });
+    } else if (type === "tokenize") {
+      if (!tokenizer) throw new Error("tokenizer is not initialized");
+      const { text, options = {} } = ev.data;
+      self.postMessage({ id, type: "done", tokens: pick(tokenize(text), options.fields) });
+    } else if (type === "userdict") {
+      setUserDict(ev.data.entries);
+      self.postMessage({ id, type: "done" });
+    } else {
+      throw new Error(`unknown message: ${type}`);
+    }
+  } catch (e) {
+    self.postMessage({ id, type: "error", message: e.message || String(e) });
+  }
+};
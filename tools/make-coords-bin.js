@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// 座標 CSV（word,x,y[,z]）を vocab.json の並びにそろえたバイナリ座標（WCRD）に変換する
+// 使い方: node tools/make-coords-bin.js <coords.csv> <vocab.json> <出力.bin>
+// 形式は coords-worker.js の parseBinaryCoords を参照。語彙に無い CSV の語は捨て、座標の無い語は NaN
+const fs = require("fs");
+const CSV = require("../csv.js");
+
+function main() {
+  const [csvPath, vocabPath, output] = process.argv.slice(2);
+  if (!csvPath || !vocabPath || !output) {
+    console.error("usage: node tools/make-coords-bin.js <coords.csv> <vocab.json> <output.bin>");
+    process.exit(1);
+  }
+
+  const vocab = JSON.parse(fs.readFileSync(vocabPath, "utf8"));
+  const index = new Map(vocab.map((w, i) => [w, i]));
+  if (vocab.some(w => w.includes("\0"))) throw new Error("vocab contains NUL characters");
+
+  const [header, ...rows] = CSV.parse(fs.readFileSync(csvPath, "utf8").replace(/^\uFEFF/, ""));
+  const h = header.map(c => c.trim().toLowerCase());
+  const at = (name, fallback) => (h.includes(name) ? h.indexOf(name) : fallback);
+  const col = { word: at("word", 0), x: at("x", 1), y: at("y", 2), z: h.indexOf("z") };
+  const dims = col.z >= 0 ? 3 : 2;
+
+  const n = vocab.length;
+  const xyz = new Float32Array(n * dims).fill(NaN);
+  let matched = 0, skipped = 0;
+  for (const r of rows) {
+    const i = index.get(r[col.word]);
+    const x = Number(r[col.x]), y = Number(r[col.y]);
+    if (i === undefined || !Number.isFinite(x) || !Number.isFinite(y)) { skipped++; continue; }
+    xyz[i] = x;
+    xyz[n + i] = y;
+    if (dims === 3 && r[col.z] !== "") xyz[2 * n + i] = Number(r[col.z]);
+    matched++;
+  }
+
+  const words = Buffer.from(vocab.join("\0"), "utf8");
+  const pad = (4 - ((16 + words.length) % 4)) % 4;
+  const head = Buffer.alloc(16);
+  head.write("WCRD", 0, "ascii");
+  head.writeUInt8(1, 4);
+  head.writeUInt8(dims, 5);
+  head.writeUInt32LE(n, 8);
+  head.writeUInt32LE(words.length, 12);
+
+  const out = Buffer.concat([head, words, Buffer.alloc(pad), Buffer.from(xyz.buffer)]);
+  fs.writeFileSync(output, out);
+  console.log(`${matched}/${n} words with ${dims}D coords (${skipped} CSV rows skipped) → ${out.length} bytes`);
+}
+
+main();
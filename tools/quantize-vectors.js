@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// float32 のベクトルファイル（語彙順 n×dim, LE）を float16 / int8 に変換し、WVEC ヘッダを付けて書き出す
+// 使い方: node tools/quantize-vectors.js <入力.bin> <dim> <出力.bin> [float16|int8|float32]
+// 形式は app.js の「vector file formats」を参照
+const fs = require("fs");
+
+const DTYPES = ["float32", "float16", "int8"];
+
+function toHalf(v) {
+  const f32 = new Float32Array([v]);
+  const x = new Uint32Array(f32.buffer)[0];
+  const sign = (x >>> 16) & 0x8000;
+  let exp = ((x >>> 23) & 0xff) - 127 + 15;
+  let mant = x & 0x7fffff;
+  if (((x >>> 23) & 0xff) === 0xff) return sign | 0x7c00 | (mant ? 0x200 : 0);
+  if (exp >= 31) return sign | 0x7c00;
+  if (exp <= 0) {
+    if (exp < -10) return sign;
+    mant |= 0x800000;
+    const shift = 14 - exp;
+    let h = mant >>> shift;
+    if ((mant >>> (shift - 1)) & 1) h++;
+    return sign | h;
+  }
+  let h = sign | (exp << 10) | (mant >>> 13);
+  if (mant & 0x1000) h++;   // 丸め（繰り上がりで指数が進んでも正しい値になる）
+  return h;
+}
+
+function main() {
+  const [input, dimArg, output, dtype = "int8"] = process.argv.slice(2);
+  const dim = Number(dimArg);
+  if (!input || !output || !Number.isInteger(dim) || dim <= 0 || !DTYPES.includes(dtype)) {
+    console.error("usage: node tools/quantize-vectors.js <input.bin> <dim> <output.bin> [float16|int8|float32]");
+    process.exit(1);
+  }
+
+  const raw = fs.readFileSync(input);
+  const src = new Float32Array(raw.buffer, raw.byteOffset, raw.byteLength / 4);
+  if (src.length % dim !== 0) throw new Error(`size ${raw.byteLength} is not a multiple of dim ${dim} × 4`);
+  const n = src.length / dim;
+
+  const header = Buffer.alloc(16);
+  header.write("WVEC", 0, "ascii");
+  header.writeUInt8(1, 4);
+  header.writeUInt8(DTYPES.indexOf(dtype), 5);
+  header.writeUInt32LE(n, 8);
+  header.writeUInt32LE(dim, 12);
+
+  let body;
+  if (dtype === "float32") {
+    body = Buffer.from(src.buffer, src.byteOffset, src.byteLength);
+  } else if (dtype === "float16") {
+    const h = new Uint16Array(src.length);
+    for (let i = 0; i < src.length; i++) h[i] = toHalf(src[i]);
+    body = Buffer.from(h.buffer);
+  } else {
+    // 行ごとに最大絶対値が 127 になるよう尺度を決める
+    const scales = new Float32Array(n);
+    const q = new Int8Array(n * dim);
+    for (let i = 0; i < n; i++) {
+      let max = 0;
+      for (let k = 0; k < dim; k++) max = Math.max(max, Math.abs(src[i * dim + k]));
+      const s = max / 127 || 1;
+      scales[i] = s;
+      for (let k = 0; k < dim; k++) q[i * dim + k] = Math.round(src[i * dim + k] / s);
+    }
+    body = Buffer.concat([Buffer.from(scales.buffer), Buffer.from(q.buffer)]);
+  }
+
+  fs.writeFileSync(output, Buffer.concat([header, body]));
+  console.log(`${n} words × ${dim} dims → ${dtype}: ${raw.byteLength} → ${16 + body.length} bytes`);
+}
+
+main();